@@ -0,0 +1,126 @@
+"use strict";
+
+// 翻译结果的内存 LRU 缓存
+// 利用 Map 保持插入顺序的特性：命中时删除后重新插入，最久未使用的条目始终位于最前面
+
+/**
+ * 估算字符串占用的字节数，JS 字符串按 UTF-16 存储
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateBytes(text) {
+  return text.length * 2;
+}
+
+/**
+ * 按条目数和字节数限制大小的 LRU 缓存
+ */
+class LRUCache {
+  /** @type {Map<string, string>} */
+  #entries = new Map();
+  #bytes = 0;
+  #hits = 0;
+  #misses = 0;
+
+  /**
+   * @param {Object} options 缓存配置选项
+   * @param {number} options.maxEntries 最大条目数，0 表示禁用缓存
+   * @param {number} [options.maxBytes] 最大字节数（按键和值的长度估算），0 表示不限制
+   */
+  constructor(options) {
+    this.maxEntries = options.maxEntries;
+    this.maxBytes = options.maxBytes || 0;
+  }
+
+  /**
+   * 缓存是否启用
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  /**
+   * 读取缓存，命中时将条目移动到最近使用的位置
+   * @param {string} key
+   * @returns {string|undefined}
+   */
+  get(key) {
+    const value = this.#entries.get(key);
+    if (value === undefined) {
+      this.#misses++;
+      return undefined;
+    }
+
+    this.#hits++;
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * 写入缓存，超出限制时淘汰最久未使用的条目
+   * @param {string} key
+   * @param {string} value
+   */
+  set(key, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const size = estimateBytes(key) + estimateBytes(value);
+    // 单个条目超过字节上限时不缓存，避免把其他条目全部挤出去
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      return;
+    }
+
+    this.#remove(key);
+    this.#entries.set(key, value);
+    this.#bytes += size;
+
+    while (
+      this.#entries.size > this.maxEntries ||
+      (this.maxBytes > 0 && this.#bytes > this.maxBytes)
+    ) {
+      this.#remove(this.#entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 清空所有条目，命中统计保留
+   */
+  clear() {
+    this.#entries.clear();
+    this.#bytes = 0;
+  }
+
+  /**
+   * 获取缓存统计信息
+   * @returns {{entries: number, bytes: number, maxEntries: number, maxBytes: number, hits: number, misses: number}}
+   */
+  stats() {
+    return {
+      entries: this.#entries.size,
+      bytes: this.#bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.#hits,
+      misses: this.#misses,
+    };
+  }
+
+  /**
+   * 删除单个条目并更新字节计数
+   * @param {string} key
+   */
+  #remove(key) {
+    const value = this.#entries.get(key);
+    if (value === undefined) {
+      return;
+    }
+    this.#entries.delete(key);
+    this.#bytes -= estimateBytes(key) + estimateBytes(value);
+  }
+}
+
+module.exports = LRUCache;
@@ -7,6 +7,33 @@ class Config {
   static OFFLINE = process.env.MTRAN_OFFLINE?.toLowerCase() === "true" || false;
   // 工作线程数，即每个语言模型的线程数，使用默认值 1 即可满足绝大多数场景
   static WORKERS = parseInt(process.env.MTRAN_WORKERS, 10) || 1;
+  // 每个语言模型最多的工作线程数，大于 WORKERS 时根据队列深度和请求耗时自动扩容，空闲时缩回 WORKERS，默认等于 WORKERS
+  static MAX_WORKERS = parseInt(process.env.MTRAN_MAX_WORKERS, 10) || 0;
+  // 所有语言模型自动扩容时工作线程总数的上限，默认为 CPU 核心数
+  static WORKER_BUDGET =
+    parseInt(process.env.MTRAN_WORKER_BUDGET, 10) || os.cpus().length;
+  // 单次批量翻译请求最多包含的文本数，批量翻译时按此大小切分后分发到各个工作线程，默认值为 32
+  static BATCH_SIZE = parseInt(process.env.MTRAN_BATCH_SIZE, 10) || 32;
+  // 达到此字符数的翻译请求交给每个语言对的第一个工作线程专门处理，其他工作线程优先处理短文本，
+  // 只在 WORKERS 大于 1 时生效，设置为 0 表示不区分长短文本，默认值为 0
+  static LONG_TEXT_CHARS = parseInt(process.env.MTRAN_LONG_TEXT_CHARS, 10) || 0;
+  // 流式翻译时每个文本块的最大字符数，长文档按段落和句子切分为不超过此长度的块，默认值为 1000
+  static STREAM_CHUNK_SIZE =
+    parseInt(process.env.MTRAN_STREAM_CHUNK_SIZE, 10) || 1000;
+  // 自动检测语言时使用的最大文本长度，默认值为 64
+  static DETECT_LENGTH = parseInt(process.env.MTRAN_DETECT_LENGTH, 10) || 64;
+  // worker崩溃后会自动重启，一分钟内同一语言对崩溃达到此次数时熔断，暂停该语言对的翻译，默认值为 3
+  static WORKER_MAX_CRASHES =
+    parseInt(process.env.MTRAN_WORKER_MAX_CRASHES, 10) || 3;
+  // 熔断后暂停的时间（秒），之后的请求会重新创建引擎，默认值为 60 秒
+  static WORKER_COOLDOWN =
+    parseFloat(process.env.MTRAN_WORKER_COOLDOWN) || 60.0;
+  // 翻译请求的默认超时时间（秒），超时后以 TimeoutError 拒绝，设置为 0 表示不超时，默认值为 0
+  static REQUEST_TIMEOUT = parseFloat(process.env.MTRAN_REQUEST_TIMEOUT) || 0;
+  // worker空闲时无响应，或单个批次翻译超过此时间（秒，按批次字符数延长）后视为卡住，终止并重启
+  // 设置为 0 禁用检测，默认值为 120 秒
+  static WORKER_HANG_TIMEOUT =
+    parseFloat(process.env.MTRAN_WORKER_HANG_TIMEOUT ?? "120") || 0;
   // 日志级别，可选值：Error、Warn、Info、Debug
   static LOG_LEVEL = process.env.MTRAN_LOG_LEVEL || "Error";
   // 数据目录，默认值为 ~/.cache/mtran
@@ -29,8 +56,26 @@ class Config {
   // 模型内存自动释放的时间间隔（分钟），默认为 30 分钟
   static RELEASE_INTERVAL =
     parseFloat(process.env.MTRAN_RELEASE_INTERVAL) || 30.0;
+  // 同时加载的语言模型引擎的最大数量，加载新引擎前逐出最近最少使用的空闲引擎，设置为 0 表示不限制，默认值为 0
+  static MAX_ENGINES = parseInt(process.env.MTRAN_MAX_ENGINES, 10) || 0;
+  // 所有引擎估算内存（MB）的上限，加载新引擎前逐出最近最少使用的空闲引擎，设置为 0 表示不限制，默认值为 0
+  static MAX_MEMORY_MB = parseFloat(process.env.MTRAN_MAX_MEMORY_MB) || 0;
   // n 次翻译后垃圾回收阈值，默认为 1000 次
   static GC_THRESHOLD = parseInt(process.env.MTRAN_GC_THRESHOLD, 10) || 1000;
+  // 翻译结果内存缓存的最大条目数，设置为 0 禁用缓存，默认值为 1000
+  static CACHE_SIZE = parseInt(process.env.MTRAN_CACHE_SIZE ?? "1000", 10) || 0;
+  // 翻译结果内存缓存的最大字节数（按文本长度估算），设置为 0 表示不限制，默认值为 32 MB
+  static CACHE_MAX_BYTES =
+    parseInt(process.env.MTRAN_CACHE_MAX_BYTES ?? "33554432", 10) || 0;
+  // 是否启用持久化翻译记忆库，记忆库保存在数据目录的 tm 文件夹下，默认为 false
+  static TM = process.env.MTRAN_TM?.toLowerCase() === "true";
+  // 每个语言对的翻译记忆库最多保留的条目数，超出时淘汰最早写入的条目，设置为 0 表示不限制，默认值为 10000
+  static TM_MAX_ENTRIES =
+    parseInt(process.env.MTRAN_TM_MAX_ENTRIES ?? "10000", 10) || 0;
+  // 内置 HTTP 翻译服务的监听地址，默认为 localhost
+  static SERVER_HOST = process.env.MTRAN_SERVER_HOST || "localhost";
+  // 内置 HTTP 翻译服务的监听端口，默认为 8989
+  static SERVER_PORT = parseInt(process.env.MTRAN_SERVER_PORT, 10) || 8989;
 }
 
 module.exports = Config;
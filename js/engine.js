@@ -4,6 +4,10 @@
  * @typedef {import("../translations").Bergamot} Bergamot
  * @typedef {import("../translations").TranslationModelPayload} TranslationModelPayload
  * @typedef {import("../translations").LanguageTranslationModelFiles} LanguageTranslationModelFiles
+ * @typedef {{start: number, end: number}} TextRange
+ * @typedef {{sentence: number, source: TextRange, target: TextRange, score: number}} WordAlignment
+ * @typedef {{score: number, words: Array<TextRange & {score: number}>}} SentenceQuality
+ * @typedef {{text: string, sourceText: string, sourceSentences: TextRange[], targetSentences: TextRange[], alignments: WordAlignment[] | null, qualityScores: SentenceQuality[] | null}} DetailedTranslation
  */
 
 const fs = require("fs");
@@ -11,6 +15,7 @@ const path = require("path");
 const Lang = require("./lang");
 const loadBergamot = require("./bergamot");
 const Config = require("./config");
+const { TRANSLATION_ERROR_TEXT } = require("./utils");
 const WASM_PATH = path.join(__dirname, "./bergamot.wasm");
 const WASM_BINARY = fs.readFileSync(WASM_PATH);
 
@@ -108,15 +113,21 @@ function generateTextConfig(config) {
  * @param {Bergamot} bergamot
  * @param {string[]} sourceTexts
  * @param {boolean} isHTML
+ * @param {boolean} [qualityScores] 是否计算质量分数，需要模型带有 qualityModel
  * @returns {{ messages: Bergamot["VectorString"], options: Bergamot["VectorResponseOptions"] }}
  */
-function getTranslationArgs(bergamot, sourceTexts, isHTML) {
+function getTranslationArgs(
+  bergamot,
+  sourceTexts,
+  isHTML,
+  qualityScores = false
+) {
   const messages = new bergamot.VectorString();
   const options = new bergamot.VectorResponseOptions();
 
   // 预先创建一次响应选项对象，避免在循环中重复创建
   const responseOption = {
-    qualityScores: false,
+    qualityScores,
     alignment: true,
     html: isHTML,
   };
@@ -141,6 +152,169 @@ function getTranslationArgs(bergamot, sourceTexts, isHTML) {
   return { messages, options };
 }
 
+/**
+ * 创建 UTF-8 字节偏移到 JS 字符串下标的换算函数
+ * Bergamot 返回的 ByteRange 基于 UTF-8 字节，而 JS 字符串按 UTF-16 码元计数
+ *
+ * @param {string} text
+ * @returns {(byteOffset: number) => number}
+ */
+function createByteOffsetMapper(text) {
+  const byteLength = Buffer.byteLength(text, "utf8");
+  const charIndexByByte = new Uint32Array(byteLength + 1);
+
+  let byteOffset = 0;
+  let charIndex = 0;
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    const charBytes =
+      codePoint < 0x80
+        ? 1
+        : codePoint < 0x800
+          ? 2
+          : codePoint < 0x10000
+            ? 3
+            : 4;
+    // 落在多字节字符内部的偏移归到该字符起始位置
+    charIndexByByte.fill(charIndex, byteOffset, byteOffset + charBytes);
+    byteOffset += charBytes;
+    charIndex += char.length;
+  }
+  charIndexByByte[byteLength] = charIndex;
+
+  return (offset) => charIndexByByte[Math.min(Math.max(offset, 0), byteLength)];
+}
+
+/**
+ * 将 ByteRange 转换为字符区间
+ *
+ * @param {{begin: number, end: number}} byteRange
+ * @param {(byteOffset: number) => number} toCharIndex
+ * @returns {TextRange}
+ */
+function toCharRange(byteRange, toCharIndex) {
+  return {
+    start: toCharIndex(byteRange.begin),
+    end: toCharIndex(byteRange.end),
+  };
+}
+
+/**
+ * 读取词级软对齐
+ * 只有导出了 getAlignments 绑定的 Bergamot 构建才能提供对齐数据，
+ * 其返回值按句子排列，每句是 {src, tgt, prob} 对齐点的列表，src/tgt 为 ByteRange
+ *
+ * @param {Bergamot["Response"]} response
+ * @param {(byteOffset: number) => number} toSourceIndex
+ * @param {(byteOffset: number) => number} toTargetIndex
+ * @returns {WordAlignment[] | null}
+ */
+function getWordAlignments(response, toSourceIndex, toTargetIndex) {
+  if (typeof response.getAlignments !== "function") {
+    return null;
+  }
+
+  const alignments = [];
+  let sentences;
+  try {
+    sentences = response.getAlignments();
+    for (let i = 0; i < sentences.size(); i++) {
+      const points = sentences.get(i);
+      for (let j = 0; j < points.size(); j++) {
+        const { src, tgt, prob } = points.get(j);
+        alignments.push({
+          sentence: i,
+          source: toCharRange(src, toSourceIndex),
+          target: toCharRange(tgt, toTargetIndex),
+          score: prob,
+        });
+      }
+    }
+  } catch (error) {
+    console.error("Failed to get word alignments:", error);
+    return null;
+  } finally {
+    sentences?.delete?.();
+  }
+  return alignments;
+}
+
+/**
+ * 读取质量评估分数，与译文句子一一对应
+ * 分数为对数概率，越接近 0 表示模型对译文越有把握
+ * Bergamot 构建没有导出 getQualityScores 绑定或读取失败时返回 null，不影响译文本身
+ *
+ * @param {Bergamot["Response"]} response
+ * @param {(byteOffset: number) => number} toTargetIndex
+ * @returns {SentenceQuality[] | null}
+ */
+function getQualityScores(response, toTargetIndex) {
+  if (typeof response.getQualityScores !== "function") {
+    return null;
+  }
+
+  const qualityScores = [];
+  let sentences;
+  try {
+    sentences = response.getQualityScores();
+    for (let i = 0; i < sentences.size(); i++) {
+      const { sentenceScore, wordScores, wordByteRanges } = sentences.get(i);
+      const words = [];
+      for (let j = 0; j < wordScores.size(); j++) {
+        words.push({
+          ...toCharRange(wordByteRanges.get(j), toTargetIndex),
+          score: wordScores.get(j),
+        });
+      }
+      qualityScores.push({ score: sentenceScore, words });
+    }
+  } catch (error) {
+    console.error("Failed to get quality scores:", error);
+    return null;
+  } finally {
+    sentences?.delete?.();
+  }
+  return qualityScores;
+}
+
+/**
+ * 从 Bergamot Response 中提取译文、句子映射和词对齐
+ * 所有区间都是相对于 sourceText / text 的字符下标（左闭右开）
+ *
+ * @param {Bergamot["Response"]} response
+ * @param {boolean} [withQuality] 是否读取质量评估分数
+ * @returns {DetailedTranslation}
+ */
+function getDetailedTranslation(response, withQuality = false) {
+  const sourceText = response.getOriginalText();
+  const text = response.getTranslatedText();
+  const toSourceIndex = createByteOffsetMapper(sourceText);
+  const toTargetIndex = createByteOffsetMapper(text);
+
+  const sourceSentences = [];
+  const targetSentences = [];
+  const sentenceCount = response.size();
+  for (let i = 0; i < sentenceCount; i++) {
+    sourceSentences.push(
+      toCharRange(response.getSourceSentence(i), toSourceIndex)
+    );
+    targetSentences.push(
+      toCharRange(response.getTranslatedSentence(i), toTargetIndex)
+    );
+  }
+
+  return {
+    text,
+    sourceText,
+    sourceSentences,
+    targetSentences,
+    alignments: getWordAlignments(response, toSourceIndex, toTargetIndex),
+    qualityScores: withQuality
+      ? getQualityScores(response, toTargetIndex)
+      : null,
+  };
+}
+
 /**
  * 构建单个翻译模型
  *
@@ -268,6 +442,11 @@ class Engine {
       this.languageTranslationModels.push(model);
     }
 
+    // 只有每个模型（含中转模型）都带有 qualityModel 时才能计算质量分数
+    this.hasQualityModel = translationModelPayloads.every(
+      ({ languageModelFiles }) => !!languageModelFiles.qualityModel
+    );
+
     /** @type {Bergamot["BlockingService"]} */
     this.translationService = new bergamot.BlockingService({
       cacheSize: 0, // 这里禁用缓存，交由上层翻译器负责缓存
@@ -283,9 +462,15 @@ class Engine {
    *
    * @param {string[]} input - 输入文本数组
    * @param {boolean} isHTML - 是否为HTML内容
-   * @returns {Promise<string[]|string>}
+   * @param {Object} [translateOptions] - 翻译选项
+   * @param {boolean} [translateOptions.detailed] - 返回包含句子映射和词对齐的详细结果
+   * @param {boolean} [translateOptions.quality] - 在详细结果中附带质量评估分数，模型没有 qualityModel 时为 null
+   * @returns {Promise<string[]|string|DetailedTranslation[]|DetailedTranslation>}
    */
-  async translate(input, isHTML) {
+  async translate(input, isHTML, translateOptions = {}) {
+    const { detailed = false } = translateOptions;
+    const withQuality =
+      detailed && !!translateOptions.quality && this.hasQualityModel;
     // 将单个文本转换为数组处理
     const isTextArray = Array.isArray(input);
     const sourceTexts = isTextArray ? input : [input];
@@ -294,7 +479,8 @@ class Engine {
     const { messages, options } = getTranslationArgs(
       this.bergamot,
       sourceTexts,
-      isHTML
+      isHTML,
+      withQuality
     );
 
     try {
@@ -362,10 +548,13 @@ class Engine {
 
       for (let i = 0; i < responsesSize; i++) {
         try {
-          results[i] = responses.get(i).getTranslatedText();
+          const response = responses.get(i);
+          results[i] = detailed
+            ? getDetailedTranslation(response, withQuality)
+            : response.getTranslatedText();
         } catch (error) {
           console.error(`Failed to get translated text at index ${i}:`, error);
-          results[i] = "[Translation error]";
+          results[i] = TRANSLATION_ERROR_TEXT;
         }
       }
 
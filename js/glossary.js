@@ -0,0 +1,308 @@
+"use strict";
+
+// 术语表
+// 原文中匹配到的术语在翻译前替换为占位符，翻译后用术语表指定的译文还原，保证术语翻译一致
+
+const fs = require("fs").promises;
+const path = require("path");
+const Lang = require("./lang");
+const { unescapeXml } = require("./utils");
+
+// 不使用空格分词的文字，术语两侧无需检查单词边界
+const NO_WORD_BOUNDARY_REGEX =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+const WORD_CHAR_REGEX = /[\p{L}\p{N}_]/u;
+
+// 规范化语言代码，与 Translator 使用相同的别名规则
+function normalizeLang(lang) {
+  return Lang.MALIAS[lang] || lang;
+}
+
+function sameLang(a, b) {
+  return normalizeLang(a).toLowerCase() === normalizeLang(b).toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 为术语生成正则片段，以字母或数字开头/结尾的术语要求两侧是单词边界
+ * @param {string} term
+ * @returns {string}
+ */
+function getTermPattern(term) {
+  const chars = Array.from(term);
+  const needsBoundary = (char) =>
+    WORD_CHAR_REGEX.test(char) && !NO_WORD_BOUNDARY_REGEX.test(char);
+
+  let pattern = escapeRegExp(term);
+  if (needsBoundary(chars[0])) {
+    pattern = `(?<![\\p{L}\\p{N}_])${pattern}`;
+  }
+  if (needsBoundary(chars[chars.length - 1])) {
+    pattern = `${pattern}(?![\\p{L}\\p{N}_])`;
+  }
+  return pattern;
+}
+
+/**
+ * 解析 CSV 内容，支持双引号包裹和 "" 转义
+ * @param {string} content CSV 内容
+ * @returns {string[][]}
+ */
+function parseCSV(content) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 去掉 BOM 和空行
+  if (rows.length > 0 && rows[0].length > 0) {
+    rows[0][0] = rows[0][0].replace(/^\uFEFF/, "");
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * 术语表，保存原文术语到目标术语的映射
+ */
+class Glossary {
+  /** @type {Map<string, string>} */
+  #terms = new Map();
+  /** @type {RegExp|null} */
+  #regex = null;
+
+  /**
+   * @param {Iterable<[string, string]>|Record<string, string>} [entries] 原文术语和目标术语
+   */
+  constructor(entries = []) {
+    const pairs =
+      typeof entries[Symbol.iterator] === "function"
+        ? entries
+        : Object.entries(entries);
+    for (const entry of pairs) {
+      const [source, target] = Array.isArray(entry)
+        ? entry
+        : [entry.source, entry.target];
+      this.set(source, target);
+    }
+  }
+
+  /**
+   * 将翻译选项中的术语表统一转换为 Glossary 实例
+   * @param {Glossary|Iterable<[string, string]>|Record<string, string>|null|undefined} value
+   * @returns {Glossary|null}
+   */
+  static from(value) {
+    if (!value) return null;
+    if (value instanceof Glossary) return value;
+    return new Glossary(value);
+  }
+
+  /**
+   * 从 CSV 内容创建术语表
+   * 第一行包含源语言和目标语言代码时按列名取值，否则使用前两列；第一行为 source,target 或两个语言代码时视为表头
+   * @param {string} content CSV 内容
+   * @param {{from?: string, to?: string}} [options] 语言对
+   * @returns {Glossary}
+   */
+  static fromCSV(content, options = {}) {
+    const rows = parseCSV(content);
+    let sourceColumn = 0;
+    let targetColumn = 1;
+
+    if (rows.length > 0) {
+      const header = rows[0].map((cell) => cell.trim());
+      const findColumn = (lang) =>
+        lang ? header.findIndex((cell) => cell && sameLang(cell, lang)) : -1;
+      const fromColumn = findColumn(options.from);
+      const toColumn = findColumn(options.to);
+
+      if (fromColumn >= 0 && toColumn >= 0) {
+        sourceColumn = fromColumn;
+        targetColumn = toColumn;
+        rows.shift();
+      } else if (
+        (header[0]?.toLowerCase() === "source" &&
+          header[1]?.toLowerCase() === "target") ||
+        (Lang.MALL.includes(header[0]) && Lang.MALL.includes(header[1]))
+      ) {
+        rows.shift();
+      }
+    }
+
+    const glossary = new Glossary();
+    for (const row of rows) {
+      const source = row[sourceColumn]?.trim();
+      const target = row[targetColumn]?.trim();
+      if (source && target !== undefined) {
+        glossary.set(source, target);
+      }
+    }
+    return glossary;
+  }
+
+  /**
+   * 从 TBX 内容创建术语表，支持 TBX 2（termEntry/tig）和 TBX 3（conceptEntry/termSec）
+   * 同一概念下源语言的每个术语都映射到目标语言的第一个术语
+   * @param {string} xml TBX 内容
+   * @param {{from: string, to: string}} options 语言对
+   * @returns {Glossary}
+   */
+  static fromTBX(xml, options) {
+    const { from, to } = options || {};
+    if (!from || !to) {
+      throw new Error("Source and target languages are required for TBX");
+    }
+
+    const glossary = new Glossary();
+    const entryRegex = /<(termEntry|conceptEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    for (const [, , entry] of xml.matchAll(entryRegex)) {
+      const termsByLang = [];
+      for (const [, attrs, body] of entry.matchAll(
+        /<langSet\b([^>]*)>([\s\S]*?)<\/langSet>/g
+      )) {
+        const lang = /\b(?:xml:)?lang="([^"]*)"/i.exec(attrs)?.[1];
+        if (!lang) continue;
+        const terms = Array.from(
+          body.matchAll(/<term\b[^>]*>([\s\S]*?)<\/term>/g),
+          ([, term]) => unescapeXml(term.replace(/<[^>]+>/g, "")).trim()
+        ).filter(Boolean);
+        termsByLang.push({ lang, terms });
+      }
+
+      const sources = termsByLang
+        .filter(({ lang }) => sameLang(lang, from))
+        .flatMap(({ terms }) => terms);
+      const target = termsByLang.find(({ lang }) => sameLang(lang, to))
+        ?.terms[0];
+      if (target === undefined) continue;
+
+      for (const source of sources) {
+        glossary.set(source, target);
+      }
+    }
+    return glossary;
+  }
+
+  /**
+   * 从文件加载术语表，格式由扩展名决定（.csv 或 .tbx）
+   * @param {string} filePath 文件路径
+   * @param {{from?: string, to?: string}} [options] 语言对，TBX 文件必须指定
+   * @returns {Promise<Glossary>}
+   */
+  static async load(filePath, options = {}) {
+    const content = await fs.readFile(filePath, "utf8");
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === ".tbx" || ext === ".xml") {
+      return Glossary.fromTBX(content, options);
+    }
+    if (ext === ".csv") {
+      return Glossary.fromCSV(content, options);
+    }
+    throw new Error(`Unsupported glossary format: ${ext}`);
+  }
+
+  /**
+   * 术语条目数
+   * @returns {number}
+   */
+  get size() {
+    return this.#terms.size;
+  }
+
+  /**
+   * 添加或覆盖术语
+   * @param {string} source 原文术语
+   * @param {string} target 目标术语
+   */
+  set(source, target) {
+    if (typeof source !== "string" || !source) {
+      throw new Error("Glossary source term must be a non-empty string");
+    }
+    if (typeof target !== "string") {
+      throw new Error(`Glossary target term for "${source}" must be a string`);
+    }
+    this.#terms.set(source, target);
+    this.#regex = null;
+  }
+
+  /**
+   * 获取全部术语
+   * @returns {Array<[string, string]>}
+   */
+  entries() {
+    return Array.from(this.#terms.entries());
+  }
+
+  /**
+   * 合并另一个术语表，other 中的条目优先
+   * @param {Glossary|null} other
+   * @returns {Glossary}
+   */
+  merge(other) {
+    if (!other || other.size === 0) return this;
+    if (this.size === 0) return other;
+    return new Glossary([...this.entries(), ...other.entries()]);
+  }
+
+  /**
+   * 在文本中查找术语，长术语优先，结果互不重叠
+   * @param {string} text
+   * @returns {Array<{start: number, end: number, value: string}>} value 为目标术语
+   */
+  findTerms(text) {
+    if (this.#terms.size === 0) return [];
+
+    if (!this.#regex) {
+      const terms = Array.from(this.#terms.keys()).sort(
+        (a, b) => b.length - a.length
+      );
+      this.#regex = new RegExp(terms.map(getTermPattern).join("|"), "gu");
+    }
+
+    const spans = [];
+    for (const match of text.matchAll(this.#regex)) {
+      spans.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        value: this.#terms.get(match[0]),
+      });
+    }
+    return spans;
+  }
+}
+
+module.exports = Glossary;
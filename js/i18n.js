@@ -0,0 +1,682 @@
+"use strict";
+
+// 国际化资源文件翻译
+// 解析 JSON、ARB、YAML、.properties、.po、Android strings.xml 和 iOS .strings，只提取需要翻译的值，
+// 生成译文时按原文的位置替换这些值，键、注释、顺序和其余格式保持不变
+
+const path = require("path");
+
+const RESOURCE_FORMATS = [
+  "json",
+  "arb",
+  "yaml",
+  "properties",
+  "po",
+  "android",
+  "strings",
+];
+
+const EXTENSION_FORMATS = {
+  ".json": "json",
+  ".arb": "arb",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".properties": "properties",
+  ".po": "po",
+  ".pot": "po",
+  ".xml": "android",
+  ".strings": "strings",
+};
+
+// 各格式特有的插值语法，{name}、ICU 参数、printf 格式符等通用语法由内置保护规则处理
+const INTERPOLATION_PATTERNS = {
+  json: [/\$t\([^)]*\)/g],
+  arb: [],
+  yaml: [/%\{[\w.]+\}/g],
+  properties: [/\$\{[^}]+\}/g],
+  po: [/%\([\w.]+\)[-#0+]*\d*(?:\.\d+)?[diouxXeEfFgGcrsa]/g],
+  android: [
+    /<xliff:g\b[^>]*>[\s\S]*?<\/xliff:g>/g,
+    /\\(?:[nt]|u[0-9a-fA-F]{4})/g,
+  ],
+  strings: [],
+};
+
+/**
+ * @typedef {Object} ResourceEntry
+ * @property {string} key 条目的唯一标识，嵌套结构用路径表示
+ * @property {string} value 需要翻译的原文
+ * @property {boolean} [html] 原文是否为 HTML（Android 字符串中的样式标签）
+ * @property {string} [translation] 文件中已有的译文（.po 的 msgstr）
+ * @property {boolean} [locale] 是否为语言代码（ARB 的 @@locale），直接替换为目标语言
+ * @property {number} start 值在文件中的起始位置
+ * @property {number} end 值在文件中的结束位置
+ * @property {(text: string) => string} encode 将译文编码为文件中的写法
+ */
+
+// 按位置将字符串编码为 JSON 字符串字面量
+function jsonString(text) {
+  return JSON.stringify(text);
+}
+
+/**
+ * 解析 JSON，记录每个字符串值的位置，键路径用 . 连接
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseJSON(content) {
+  const entries = [];
+  let i = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid JSON at position ${i}: ${message}`);
+  };
+  const skipWhitespace = () => {
+    while (i < content.length && /\s/.test(content[i])) i++;
+  };
+  const readString = () => {
+    const start = i++;
+    while (i < content.length && content[i] !== '"') {
+      i += content[i] === "\\" ? 2 : 1;
+    }
+    if (i >= content.length) fail("unterminated string");
+    i++;
+    return { start, end: i, value: JSON.parse(content.slice(start, i)) };
+  };
+  const parseValue = (keyPath) => {
+    skipWhitespace();
+    const char = content[i];
+    if (char === "{") {
+      i++;
+      skipWhitespace();
+      while (content[i] !== "}") {
+        if (content[i] !== '"') fail("expected key");
+        const { value: key } = readString();
+        skipWhitespace();
+        if (content[i++] !== ":") fail("expected ':'");
+        parseValue([...keyPath, key]);
+        skipWhitespace();
+        if (content[i] === ",") {
+          i++;
+          skipWhitespace();
+        } else if (content[i] !== "}") {
+          fail("expected ',' or '}'");
+        }
+      }
+      i++;
+    } else if (char === "[") {
+      i++;
+      skipWhitespace();
+      for (let index = 0; content[i] !== "]"; index++) {
+        parseValue([...keyPath, String(index)]);
+        skipWhitespace();
+        if (content[i] === ",") {
+          i++;
+          skipWhitespace();
+        } else if (content[i] !== "]") {
+          fail("expected ',' or ']'");
+        }
+      }
+      i++;
+    } else if (char === '"') {
+      const { start, end, value } = readString();
+      entries.push({
+        key: keyPath.join("."),
+        path: keyPath,
+        value,
+        start,
+        end,
+        encode: jsonString,
+      });
+    } else {
+      const literal = /^(?:true|false|null|-?\d[\d.eE+-]*)/.exec(
+        content.slice(i, i + 64)
+      );
+      if (!literal) fail("unexpected token");
+      i += literal[0].length;
+    }
+  };
+
+  parseValue([]);
+  return entries;
+}
+
+/**
+ * 解析 ARB（Flutter），跳过以 @ 开头的元数据，@@locale 替换为目标语言
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseARB(content) {
+  return parseJSON(content)
+    .filter(({ path: keyPath }) => keyPath.length === 1)
+    .flatMap((entry) => {
+      if (entry.key === "@@locale") return [{ ...entry, locale: true }];
+      return entry.key.startsWith("@") ? [] : [entry];
+    });
+}
+
+// YAML 中不是文本的标量：布尔值、空值、数字、日期
+const YAML_NON_TEXT_REGEX =
+  /^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:[eE][-+]?\d+)?|\d{4}-\d{2}-\d{2}.*)$/i;
+// 纯量需要加引号的情况
+const YAML_NEEDS_QUOTES_REGEX = /^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|:$|\s$|\n/;
+const YAML_KEY_REGEX =
+  /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)/;
+
+function unquoteYAMLKey(key) {
+  if (key.startsWith('"')) return JSON.parse(key);
+  if (key.startsWith("'")) return key.slice(1, -1).replace(/''/g, "'");
+  return key;
+}
+
+function encodeYAMLPlain(text) {
+  return YAML_NEEDS_QUOTES_REGEX.test(text) ||
+    YAML_NON_TEXT_REGEX.test(text) ||
+    !text
+    ? jsonString(text)
+    : text;
+}
+
+/**
+ * 解析 YAML 的常用子集：嵌套映射、列表、单行纯量、单引号和双引号字符串以及 | 和 > 块标量
+ * 行内的 {…} 和 […]、锚点和别名原样保留
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseYAML(content) {
+  const entries = [];
+  const lines = content.split("\n");
+  // 每行在 content 中的起始位置
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+
+  // 当前所在的层级，indent 为键或列表项 - 所在的列
+  const stack = [];
+  const listCounters = new Map();
+  const enter = (indent, key) => {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    stack.push({ indent, key });
+  };
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const line = lines[lineIndex].replace(/\r$/, "");
+    if (
+      !line.trim() ||
+      /^\s*#/.test(line) ||
+      /^(?:---|\.\.\.)\s*$/.test(line)
+    ) {
+      continue;
+    }
+
+    const indent = /^\s*/.exec(line)[0].length;
+    let rest = line.slice(indent);
+    // 块标量的内容必须比所属的键或列表项缩进更深
+    let ownerIndent = indent;
+
+    // 列表项，键为所在列表中的序号
+    const listItem = /^-(?:[ \t]+|$)/.exec(rest);
+    if (listItem) {
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      const counterKey = `${stack.map((item) => item.key).join(".")}\u0000${indent}`;
+      const index = listCounters.has(counterKey)
+        ? listCounters.get(counterKey) + 1
+        : 0;
+      listCounters.set(counterKey, index);
+      enter(indent, String(index));
+      rest = rest.slice(listItem[0].length);
+    }
+
+    // 键，列表项中的映射从 - 之后的列开始
+    const keyMatch = YAML_KEY_REGEX.exec(rest);
+    if (keyMatch) {
+      const keyIndent = line.length - rest.length;
+      enter(keyIndent, unquoteYAMLKey(keyMatch[1].trim()));
+      ownerIndent = keyIndent;
+      rest = rest.slice(keyMatch[0].length);
+    } else if (!listItem) {
+      continue;
+    }
+
+    const keyPath = stack.map((item) => item.key).join(".");
+    const valueStart = offsets[lineIndex] + line.length - rest.length;
+
+    // 块标量，内容为之后缩进更深的行
+    const block = /^([|>])[-+]?\d*[ \t]*(?:#.*)?$/.exec(rest);
+    if (block) {
+      let last = lineIndex;
+      let blockIndent = -1;
+      for (let j = lineIndex + 1; j < lines.length; j++) {
+        const blockLine = lines[j].replace(/\r$/, "");
+        if (!blockLine.trim()) continue;
+        const lineIndent = /^\s*/.exec(blockLine)[0].length;
+        if (lineIndent <= ownerIndent) break;
+        if (blockIndent < 0) blockIndent = lineIndent;
+        last = j;
+      }
+      if (last === lineIndex) continue;
+
+      const blockLines = lines
+        .slice(lineIndex + 1, last + 1)
+        .map((blockLine) => blockLine.replace(/\r$/, "").slice(blockIndent));
+      const eol = lines[lineIndex].endsWith("\r") ? "\r\n" : "\n";
+      const padding = " ".repeat(blockIndent);
+      entries.push({
+        key: keyPath,
+        value: blockLines.join(block[1] === ">" ? " " : "\n").trim(),
+        start: offsets[lineIndex + 1],
+        end: offsets[last] + lines[last].replace(/\r$/, "").length,
+        encode: (text) =>
+          text
+            .split("\n")
+            .map((textLine) => (textLine ? padding + textLine : ""))
+            .join(eol),
+      });
+      lineIndex = last;
+      continue;
+    }
+
+    let value;
+    let length;
+    let encode;
+    if (rest.startsWith('"')) {
+      const quoted = /^"(?:[^"\\]|\\.)*"/.exec(rest);
+      if (!quoted) continue;
+      try {
+        value = JSON.parse(quoted[0]);
+      } catch {
+        continue;
+      }
+      length = quoted[0].length;
+      encode = jsonString;
+    } else if (rest.startsWith("'")) {
+      const quoted = /^'(?:[^']|'')*'/.exec(rest);
+      if (!quoted) continue;
+      value = quoted[0].slice(1, -1).replace(/''/g, "'");
+      length = quoted[0].length;
+      encode = (text) => `'${text.replace(/'/g, "''")}'`;
+    } else {
+      // 纯量到行尾或注释为止
+      const plain = /^(?:[^#]|#(?<!\s#))*?(?=\s+#|\s*$)/.exec(rest)[0];
+      if (
+        !plain ||
+        /^[&*!{[|>]/.test(plain) ||
+        YAML_NON_TEXT_REGEX.test(plain)
+      ) {
+        continue;
+      }
+      value = plain;
+      length = plain.length;
+      encode = encodeYAMLPlain;
+    }
+
+    entries.push({
+      key: keyPath,
+      value,
+      start: valueStart,
+      end: valueStart + length,
+      encode,
+    });
+  }
+
+  return entries;
+}
+
+// .properties 的转义
+function unescapeProperties(text) {
+  return text
+    .replace(/\\\r?\n[ \t\f]*/g, "")
+    .replace(/\\(?:u([0-9a-fA-F]{4})|(.))/g, (match, hex, char) => {
+      if (hex) return String.fromCharCode(parseInt(hex, 16));
+      return { t: "\t", n: "\n", r: "\r", f: "\f" }[char] ?? char;
+    });
+}
+
+function escapeProperties(text, asciiOnly) {
+  let escaped = text
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t")
+    .replace(/^ /, "\\ ");
+  if (asciiOnly) {
+    escaped = escaped.replace(
+      /[^\x00-\x7f]/g,
+      (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+  }
+  return escaped;
+}
+
+/**
+ * 解析 Java .properties，支持 = : 和空白分隔、反斜杠续行和 \uXXXX 转义
+ * 原文件中使用了 \u 转义时，译文中的非 ASCII 字符同样转义
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseProperties(content) {
+  const entries = [];
+  const asciiOnly = /\\u[0-9a-fA-F]{4}/.test(content);
+  const lineRegex = /[^\n]*(?:\n|$)/g;
+
+  let match;
+  while ((match = lineRegex.exec(content)) && match[0]) {
+    let start = match.index;
+    let logical = match[0];
+    // 以奇数个反斜杠结尾的行延续到下一行
+    while (/(?:^|[^\\])(?:\\\\)*\\\r?\n$/.test(logical)) {
+      const next = lineRegex.exec(content);
+      if (!next || !next[0]) break;
+      logical += next[0];
+    }
+    const body = logical.replace(/\r?\n$/, "");
+    if (!body.trim() || /^\s*[#!]/.test(body)) continue;
+
+    const keyMatch = /^\s*((?:\\.|[^\s=:\\])+)\s*[=:]?\s*/.exec(body);
+    if (!keyMatch) continue;
+    const valueStart = start + keyMatch[0].length;
+    const value = unescapeProperties(body.slice(keyMatch[0].length));
+    entries.push({
+      key: unescapeProperties(keyMatch[1]),
+      value,
+      start: valueStart,
+      end: start + body.length,
+      encode: (text) => escapeProperties(text, asciiOnly),
+    });
+  }
+  return entries;
+}
+
+// PO 字符串的转义
+function unescapePO(text) {
+  return text.replace(/\\(.)/g, (match, char) => {
+    return { n: "\n", t: "\t", r: "\r" }[char] ?? char;
+  });
+}
+
+function escapePO(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+}
+
+/**
+ * 解析 gettext .po，msgid 为原文，译文写入 msgstr；msgstr[0] 使用 msgid，其余复数形式使用 msgid_plural
+ * 文件头（msgid ""）不翻译，已有的非 fuzzy 译文作为已有译文返回
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parsePO(content) {
+  const entries = [];
+  const fieldRegex =
+    /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)[ \t]+("(?:[^"\\]|\\.)*")[ \t]*\r?$((?:\n[ \t]*"(?:[^"\\]|\\.)*"[ \t]*\r?$)*)/gm;
+
+  // 按空行分隔条目
+  const blockRegex = /(?:^|\n)((?:(?!\r?\n[ \t]*\r?\n)[\s\S])+)/g;
+  for (const blockMatch of content.matchAll(blockRegex)) {
+    const block = blockMatch[1];
+    const blockStart = blockMatch.index + blockMatch[0].length - block.length;
+    const fuzzy = /^#,.*\bfuzzy\b/m.test(block);
+
+    const fields = {};
+    const msgstrs = [];
+    for (const field of block.matchAll(fieldRegex)) {
+      const strings = [
+        field[3],
+        ...(field[4].match(/"(?:[^"\\]|\\.)*"/g) || []),
+      ];
+      const value = unescapePO(
+        strings.map((item) => item.slice(1, -1)).join("")
+      );
+      const info = {
+        keyword: field[1],
+        value,
+        start: blockStart + field.index,
+        end: blockStart + field.index + field[0].replace(/\r$/, "").length,
+      };
+      if (field[1].startsWith("msgstr")) {
+        msgstrs.push({ ...info, index: Number(field[2] || 0) });
+      } else {
+        fields[field[1]] = info;
+      }
+    }
+
+    if (!fields.msgid || !fields.msgid.value) continue;
+    const baseKey = fields.msgctxt
+      ? `${fields.msgctxt.value}\u0004${fields.msgid.value}`
+      : fields.msgid.value;
+
+    for (const msgstr of msgstrs) {
+      const plural = msgstr.index > 0 && fields.msgid_plural;
+      entries.push({
+        key: plural ? `${baseKey}\u0000plural` : baseKey,
+        value: plural ? fields.msgid_plural.value : fields.msgid.value,
+        translation: msgstr.value && !fuzzy ? msgstr.value : undefined,
+        start: msgstr.start,
+        end: msgstr.end,
+        encode: (text) => `${msgstr.keyword} "${escapePO(text)}"`,
+      });
+    }
+  }
+  return entries;
+}
+
+// Android 字符串资源的转义，标签之外的引号需要反斜杠转义
+function unescapeAndroid(text) {
+  return text.replace(/\\(['"@?])/g, "$1");
+}
+
+function escapeAndroid(text) {
+  return text
+    .split(/(<[^>]*>)/)
+    .map((part, i) =>
+      i % 2 === 1 ? part : part.replace(/(?<!\\)(['"])/g, "\\$1")
+    )
+    .join("")
+    .replace(/^([@?])/, "\\$1");
+}
+
+/**
+ * 解析 Android strings.xml，支持 string、string-array 和 plurals，跳过 translatable="false" 和资源引用
+ * 值中的样式标签按 HTML 翻译，CDATA 中的内容按纯文本翻译
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseAndroid(content) {
+  const entries = [];
+  // 注释替换为等长的空白，避免匹配到被注释掉的资源
+  const masked = content.replace(/<!--[\s\S]*?-->/g, (comment) =>
+    comment.replace(/[^\n]/g, " ")
+  );
+  const getName = (attrs) => /\bname="([^"]*)"/.exec(attrs)?.[1];
+  const isTranslatable = (attrs) => !/\btranslatable="false"/.test(attrs);
+
+  const addValue = (key, start, end) => {
+    const raw = content.slice(start, end);
+    const cdata = /^(\s*)<!\[CDATA\[([\s\S]*)\]\]>(\s*)$/.exec(raw);
+    if (cdata) {
+      if (!cdata[2].trim()) return;
+      entries.push({
+        key,
+        value: cdata[2],
+        start,
+        end,
+        encode: (text) =>
+          `${cdata[1]}<![CDATA[${text.replace(/]]>/g, "]]]]><![CDATA[>")}]]>${cdata[3]}`,
+      });
+      return;
+    }
+
+    const quoted = /^"([\s\S]*)"$/.exec(raw);
+    const inner = quoted ? quoted[1] : raw;
+    if (!inner.trim() || /^[@?][\w:]*\//.test(inner.trim())) return;
+    entries.push({
+      key,
+      value: unescapeAndroid(inner),
+      html: true,
+      start,
+      end,
+      encode: (text) =>
+        quoted ? `"${text.replace(/(?<!\\)"/g, '\\"')}"` : escapeAndroid(text),
+    });
+  };
+
+  const resourceRegex =
+    /<(string|string-array|plurals)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+  for (const match of masked.matchAll(resourceRegex)) {
+    const [whole, type, attrs, body] = match;
+    const name = getName(attrs);
+    if (!name || body === undefined || !isTranslatable(attrs)) continue;
+    const bodyStart = match.index + whole.indexOf(">") + 1;
+
+    if (type === "string") {
+      addValue(name, bodyStart, bodyStart + body.length);
+      continue;
+    }
+
+    let index = 0;
+    for (const item of body.matchAll(/<item\b([^>]*)>([\s\S]*?)<\/item\s*>/g)) {
+      const itemStart = bodyStart + item.index + item[0].indexOf(">") + 1;
+      const quantity = /\bquantity="([^"]*)"/.exec(item[1])?.[1];
+      const key =
+        type === "plurals" ? `${name}:${quantity}` : `${name}[${index++}]`;
+      addValue(key, itemStart, itemStart + item[2].length);
+    }
+  }
+  return entries;
+}
+
+// iOS .strings 的转义
+function unescapeStrings(text) {
+  return text.replace(/\\(?:[Uu]([0-9a-fA-F]{4})|(.))/g, (match, hex, char) => {
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    return { n: "\n", t: "\t", r: "\r" }[char] ?? char;
+  });
+}
+
+function escapeStrings(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+}
+
+/**
+ * 解析 iOS .strings（"key" = "value";），跳过 /* *\/ 和 // 注释
+ * @param {string} content
+ * @returns {ResourceEntry[]}
+ */
+function parseStrings(content) {
+  const entries = [];
+  const tokenRegex =
+    /\/\*[\s\S]*?\*\/|\/\/[^\n]*|"((?:[^"\\]|\\.)*)"\s*=\s*"((?:[^"\\]|\\.)*)"\s*;/g;
+  for (const match of content.matchAll(tokenRegex)) {
+    if (match[1] === undefined) continue;
+    const valueEnd = match.index + match[0].lastIndexOf('"');
+    const valueStart = valueEnd - match[2].length;
+    entries.push({
+      key: unescapeStrings(match[1]),
+      value: unescapeStrings(match[2]),
+      start: valueStart,
+      end: valueEnd,
+      encode: escapeStrings,
+    });
+  }
+  return entries;
+}
+
+const PARSERS = {
+  json: parseJSON,
+  arb: parseARB,
+  yaml: parseYAML,
+  properties: parseProperties,
+  po: parsePO,
+  android: parseAndroid,
+  strings: parseStrings,
+};
+
+/**
+ * 解析后的资源文件
+ */
+class ResourceFile {
+  #content;
+
+  /**
+   * @param {string} content 文件内容
+   * @param {string} format 文件格式，见 ResourceFile.FORMATS
+   */
+  constructor(content, format) {
+    if (!RESOURCE_FORMATS.includes(format)) {
+      throw new Error(`Unsupported resource format: ${format}`);
+    }
+    this.#content = content;
+    this.format = format;
+    /** @type {ResourceEntry[]} */
+    this.entries = PARSERS[format](content);
+  }
+
+  static FORMATS = RESOURCE_FORMATS;
+
+  /**
+   * 根据文件扩展名判断资源文件格式
+   * @param {string} filePath
+   * @returns {string|null}
+   */
+  static getFormat(filePath) {
+    return EXTENSION_FORMATS[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  /**
+   * 该格式的插值语法，翻译时需要保护
+   * @returns {RegExp[]}
+   */
+  get protectPatterns() {
+    return INTERPOLATION_PATTERNS[this.format];
+  }
+
+  /**
+   * 作为目标文件时已有的译文：.po 为非 fuzzy 的 msgstr，其他格式为各条目的值
+   * @returns {Map<string, string>}
+   */
+  getTranslations() {
+    const translations = new Map();
+    for (const entry of this.entries) {
+      const translation =
+        this.format === "po" ? entry.translation : entry.value;
+      if (translation && !entry.locale) {
+        translations.set(entry.key, translation);
+      }
+    }
+    return translations;
+  }
+
+  /**
+   * 用译文生成文件内容，没有译文的条目保持原样
+   * @param {Map<string, string>} translations 条目的键到译文
+   * @returns {string}
+   */
+  render(translations) {
+    let result = "";
+    let last = 0;
+    for (const entry of this.entries) {
+      const translation = translations.get(entry.key);
+      if (translation === undefined) continue;
+      result +=
+        this.#content.slice(last, entry.start) + entry.encode(translation);
+      last = entry.end;
+    }
+    return result + this.#content.slice(last);
+  }
+}
+
+module.exports = ResourceFile;
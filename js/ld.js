@@ -1,4 +1,6 @@
 const { getLIDModel } = require("fasttext.wasm.js");
+const Lang = require("./lang");
+const OpenCC = require("./opencc");
 
 const CODEMAP = {
   // BCP47 语言代码映射，将 alpha2 为 null 的语言代码根据 alpha3 映射到相近语言
@@ -59,11 +61,138 @@ const CODEMAP = {
 
 const CODEMAP_KEYS = Object.keys(CODEMAP);
 
+// 最高概率不低于此值时认为检测结果可信
+const RELIABLE_PROBABILITY = 0.5;
+// 需要过滤候选时，从模型多取一些候选，过滤后仍有足够的结果
+const FILTERED_PREDICTIONS = 50;
+
+const LETTER_REGEX = /\p{L}/gu;
+const HAS_LETTER_REGEX = /\p{L}/u;
+const HAN_REGEX = /\p{Script=Han}/gu;
+const KANA_REGEX = /[\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+
+// 按文字系统判断语言的规则，某种文字占全部字母的一半以上时使用
+// 只用于一种语言的文字直接确定语言；多种语言共用的文字把候选缩小到使用该文字的语言，再由 fastText 判断
+const SCRIPT_RULES = [
+  { regex: /\p{Script=Hangul}/gu, language: "ko" },
+  { regex: /\p{Script=Greek}/gu, language: "el" },
+  { regex: /\p{Script=Hebrew}/gu, language: "he" },
+  { regex: /\p{Script=Thai}/gu, language: "th" },
+  {
+    regex: /\p{Script=Cyrillic}/gu,
+    candidates: [
+      "ru",
+      "uk",
+      "be",
+      "bg",
+      "sr",
+      "mk",
+      "kk",
+      "ky",
+      "tg",
+      "mn",
+      "tt",
+    ],
+  },
+  {
+    regex: /\p{Script=Arabic}/gu,
+    candidates: ["ar", "fa", "ur", "ps", "ckb", "ug", "sd"],
+  },
+  { regex: /\p{Script=Devanagari}/gu, candidates: ["hi", "mr", "ne", "sa"] },
+];
+
+function countMatches(text, regex) {
+  return text.match(regex)?.length ?? 0;
+}
+
+// 切分混合语言文本时区分的文字类别，汉字和假名视为同一类
+const SCRIPT_CLASSES = [
+  ["cjk", /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ...[
+    "Hangul",
+    "Latin",
+    "Cyrillic",
+    "Greek",
+    "Arabic",
+    "Hebrew",
+    "Thai",
+    "Devanagari",
+  ].map((name) => [name, new RegExp(`\\p{Script=${name}}`, "u")]),
+];
+// 片段的字母权重低于此值时并入相邻片段，避免单独检测 "API"、"OK" 这样的短词；
+// 汉字、假名和韩文每个字的信息量较大，按 4 计算
+const MIN_SEGMENT_WEIGHT = 8;
+const sentenceSegmenter = new Intl.Segmenter(undefined, {
+  granularity: "sentence",
+});
+
+// 字符的文字类别，标点、数字和空白返回 null，归入所在的片段
+function getScriptClass(char) {
+  if (!HAS_LETTER_REGEX.test(char)) return null;
+  const match = SCRIPT_CLASSES.find(([, regex]) => regex.test(char));
+  return match ? match[0] : "other";
+}
+
+/**
+ * 将文本切分为依次相连的片段：先按句子切分，句子内再按文字类别切分，字母很少的片段并入前一个片段
+ * @param {string} text - 文本
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitScriptRuns(text) {
+  const runs = [];
+  for (const { segment, index } of sentenceSegmenter.segment(text)) {
+    let current = null;
+    let offset = index;
+    for (const char of segment) {
+      const script = getScriptClass(char);
+      if (script && current?.script && script !== current.script) {
+        runs.push(current);
+        current = null;
+      }
+      if (!current) {
+        current = { start: offset, end: offset, script: null, weight: 0 };
+      }
+      if (script) {
+        current.script = script;
+        current.weight += script === "cjk" || script === "Hangul" ? 4 : 1;
+      }
+      offset += char.length;
+      current.end = offset;
+    }
+    if (current) runs.push(current);
+  }
+
+  const merged = [];
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      (run.weight < MIN_SEGMENT_WEIGHT || last.weight < MIN_SEGMENT_WEIGHT)
+    ) {
+      last.end = run.end;
+      last.weight += run.weight;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+  return merged.map(({ start, end }) => ({ start, end }));
+}
+
 class LanguageDetector {
+  /**
+   * 候选语言
+   * @typedef {Object} LanguageCandidate
+   * @property {string} language - 语言代码
+   * @property {number} probability - 概率，0 到 1
+   */
+
   /**
    * 检测结果对象
    * @typedef {Object} DetectionResult
    * @property {string} language - 检测到的主要语言代码，如果不确定则为 "un"
+   * @property {number} probability - 主要语言的概率，不确定时为 0
+   * @property {boolean} reliable - 主要语言的概率是否达到可信阈值
+   * @property {LanguageCandidate[]} candidates - 按概率从高到低排列的前 topK 个候选语言
    */
 
   static #UNKNOWN_LANG = "un";
@@ -104,13 +233,93 @@ class LanguageDetector {
     return text.replace(this.#SPACE_REGEX, this.#SPACE).trim();
   }
 
+  /**
+   * 无法确定语言时的检测结果
+   * @returns {DetectionResult}
+   */
+  static #unknown() {
+    return {
+      language: this.#UNKNOWN_LANG,
+      probability: 0,
+      reliable: false,
+      candidates: [],
+    };
+  }
+
+  /**
+   * 将模型输出的语言转换为语言代码，alpha2 为 null 时根据 alpha3 映射到相近语言
+   * @param {{alpha2: string|null, alpha3: string}} prediction - 模型输出
+   * @returns {string|null} 无法映射时返回 null
+   */
+  static #toLanguageCode(prediction) {
+    if (prediction.alpha2) return prediction.alpha2;
+    if (CODEMAP_KEYS.includes(prediction.alpha3)) {
+      return CODEMAP[prediction.alpha3];
+    }
+    return null;
+  }
+
+  /**
+   * 根据文字系统判断语言，在 fastText 之前执行，对很短的文本也稳定
+   * 含假名且汉字和假名占多数时为日文；汉字占多数时为中文，用 OpenCC 区分简体和繁体
+   * @param {string} text - 清理后的文本
+   * @returns {Promise<{language?: string, candidates?: string[]}|null>} 确定的语言或候选语言，无法判断时返回 null
+   */
+  static async #detectScript(text) {
+    const letters = countMatches(text, LETTER_REGEX);
+    if (letters === 0) return null;
+
+    const han = countMatches(text, HAN_REGEX);
+    const kana = countMatches(text, KANA_REGEX);
+    if (kana > 0 && han + kana >= letters / 2) {
+      return { language: "ja" };
+    }
+    if (han >= letters / 2) {
+      return { language: await this.#detectChineseScript(text) };
+    }
+    return (
+      SCRIPT_RULES.find(
+        ({ regex }) => countMatches(text, regex) >= letters / 2
+      ) || null
+    );
+  }
+
+  /**
+   * 用 OpenCC 的简繁转换表区分简体和繁体中文：简体字转繁体后会改变，繁体字转简体后会改变
+   * 简繁同形的字不计入，两种字一样多时按简体处理
+   * @param {string} text - 文本
+   * @returns {Promise<"zh-Hans"|"zh-Hant">}
+   */
+  static async #detectChineseScript(text) {
+    const chars = Array.from(text.match(HAN_REGEX).join(""));
+    const simplified = Array.from(await OpenCC.convert(chars.join(""), "t2s"));
+    const traditional = Array.from(await OpenCC.convert(chars.join(""), "s2t"));
+
+    let simplifiedCount = 0;
+    let traditionalCount = 0;
+    chars.forEach((char, i) => {
+      if (traditional[i] !== char) simplifiedCount++;
+      if (simplified[i] !== char) traditionalCount++;
+    });
+    return traditionalCount > simplifiedCount ? "zh-Hant" : "zh-Hans";
+  }
+
   /**
    * 检测文本的语言
    * @param {string} text - 要检测的文本
-   * @param {Object} options - 检测选项
+   * @param {Object} [options] - 检测选项
+   * @param {number} [options.topK=1] - 返回的候选语言数
+   * @param {boolean} [options.supportedOnly=false] - 只保留翻译模型支持的语言（Lang.MALL），并使用模型的语言代码（如 zh -> zh-Hans）
+   * @param {number} [options.minConfidence=0.5] - 主要语言的概率不低于此值时 reliable 为 true
    * @returns {Promise<DetectionResult>} 检测结果
    */
   static async detect(text, options = {}) {
+    const {
+      topK = 1,
+      supportedOnly = false,
+      minConfidence = RELIABLE_PROBABILITY,
+    } = options;
+
     try {
       // 确保模型已初始化
       if (!this.#modelInitialized) {
@@ -120,35 +329,124 @@ class LanguageDetector {
       const textToDetect = this.#cleanText(text);
 
       if (!textToDetect) {
-        return {
-          language: this.#UNKNOWN_LANG,
-        };
+        return this.#unknown();
       }
 
-      // 使用 fasttext 进行语言识别
-      const result = await this.#lidModel.identify(textToDetect);
-      if (result.alpha2 === null) {
-        if (result.alpha3) {
-          if (CODEMAP_KEYS.includes(result.alpha3)) {
-            return {
-              language: CODEMAP[result.alpha3],
-            };
-          }
-          return {
-            language: this.#UNKNOWN_LANG,
-          };
-        }
+      // 先按文字系统判断，能确定语言时不再使用 fasttext
+      const script = await this.#detectScript(textToDetect);
+      let predictions;
+      if (script?.language) {
+        predictions = [{ language: script.language, probability: 1 }];
       } else {
-        return {
-          language: result.alpha2,
-        };
+        predictions = await this.#predict(
+          textToDetect,
+          script || supportedOnly ? Math.max(topK, FILTERED_PREDICTIONS) : topK,
+          script?.candidates
+        );
       }
-    } catch (error) {
-      console.error(`Language detection failed:`, error);
+
+      // 映射到同一语言代码的候选合并概率
+      const candidates = [];
+      for (const prediction of predictions) {
+        let language = prediction.language;
+        if (supportedOnly) {
+          language = Lang.LD2M[language] || language;
+          if (!Lang.MALL.includes(language)) continue;
+        }
+
+        const candidate = candidates.find((item) => item.language === language);
+        if (candidate) {
+          // 各候选的概率之和可能因浮点误差略大于 1
+          candidate.probability = Math.min(
+            1,
+            candidate.probability + prediction.probability
+          );
+        } else {
+          candidates.push({ language, probability: prediction.probability });
+        }
+      }
+
+      if (candidates.length === 0) {
+        return this.#unknown();
+      }
+      candidates.sort((a, b) => b.probability - a.probability);
+      const [best] = candidates;
       return {
-        language: this.#UNKNOWN_LANG,
+        language: best.language,
+        probability: best.probability,
+        reliable: best.probability >= minConfidence,
+        candidates: candidates.slice(0, topK),
       };
+    } catch (error) {
+      console.error(`Language detection failed:`, error);
+      return this.#unknown();
+    }
+  }
+
+  /**
+   * 使用 fasttext 进行语言识别
+   * @param {string} text - 清理后的文本
+   * @param {number} count - 从模型获取的候选数
+   * @param {string[]} [scriptCandidates] - 文字系统限定的候选语言，只保留这些语言并重新归一化概率；
+   *   都不在模型的结果中时，按均等概率返回这些语言
+   * @returns {Promise<LanguageCandidate[]>}
+   */
+  static async #predict(text, count, scriptCandidates) {
+    const predictions = [];
+    for (const prediction of await this.#lidModel.identify(text, count)) {
+      const language = this.#toLanguageCode(prediction);
+      if (!language) continue;
+      if (scriptCandidates && !scriptCandidates.includes(language)) continue;
+      predictions.push({ language, probability: prediction.possibility });
+    }
+    if (!scriptCandidates) {
+      return predictions;
+    }
+
+    const total = predictions.reduce((sum, item) => sum + item.probability, 0);
+    if (total === 0) {
+      return scriptCandidates.map((language) => ({
+        language,
+        probability: 1 / scriptCandidates.length,
+      }));
+    }
+    return predictions.map(({ language, probability }) => ({
+      language,
+      probability: probability / total,
+    }));
+  }
+
+  /**
+   * 检测一个文本中不同语言的片段，用于混合多种语言的文本（如中英混合的聊天消息）
+   * 文本按句子和文字类别切分后逐段检测，相邻的同语言片段合并
+   * @param {string} text - 要检测的文本
+   * @param {Object} [options] - 检测选项，与 detect 相同
+   * @returns {Promise<Array<DetectionResult & {start: number, end: number, text: string}>>}
+   *   依次相连、覆盖整个文本的片段；没有字母的片段语言为 "un"
+   */
+  static async detectSegments(text, options = {}) {
+    if (!text) return [];
+
+    const spans = [];
+    for (const { start, end } of splitScriptRuns(text)) {
+      const segment = text.slice(start, end);
+      const result = HAS_LETTER_REGEX.test(segment)
+        ? await this.detect(segment, options)
+        : this.#unknown();
+
+      const last = spans[spans.length - 1];
+      if (last && last.language === result.language) {
+        last.end = end;
+        last.probability = Math.max(last.probability, result.probability);
+        last.reliable = last.reliable || result.reliable;
+      } else {
+        spans.push({ start, end, ...result });
+      }
     }
+    return spans.map((span) => ({
+      ...span,
+      text: text.slice(span.start, span.end),
+    }));
   }
 
   /**
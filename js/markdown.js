@@ -0,0 +1,647 @@
+"use strict";
+
+// Markdown 文档翻译
+// 按行解析文档结构，只提取正文（段落、标题、列表项、引用、表格单元格、front matter 中的文本值）交给引擎翻译，
+// 代码块、链接地址、引用定义、HTML 块等原样保留。行内格式转换为带 data-md 标记的 HTML 标签，
+// 借助 Bergamot 的 HTML 模式随译文移动，翻译后再转换回 Markdown
+
+const { escapeXml, unescapeXml } = require("./utils");
+
+const FENCE_REGEX = /^(\s*)(`{3,}|~{3,})/;
+const THEMATIC_BREAK_REGEX = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const SETEXT_UNDERLINE_REGEX = /^ {0,3}(?:=+|-+)[ \t]*$/;
+const ATX_HEADING_REGEX =
+  /^( {0,3}#{1,6}(?:[ \t]+|$))(.*?)((?:[ \t]+#+)?(?:[ \t]*\{#[^}]*\})?[ \t]*)$/;
+const LIST_ITEM_REGEX =
+  /^(\s*(?:[-*+]|\d{1,9}[.)])(?:[ \t]+\[[ xX]\])?[ \t]+)(.*)$/;
+const EMPTY_LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d{1,9}[.)])[ \t]*$/;
+const REFERENCE_DEFINITION_REGEX = /^ {0,3}\[[^\]]+\]:\s*\S/;
+// HTML 块：块级标签、注释，或整行只有一个标签
+const HTML_BLOCK_REGEX =
+  /^ {0,3}(?:<\/?(?:address|article|aside|blockquote|center|details|dialog|div|dl|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|iframe|li|main|nav|ol|p|picture|pre|script|section|style|summary|table|tbody|td|tfoot|th|thead|tr|ul)(?:\s|\/?>|$)|<!--|<!\[CDATA\[|<\?|<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?\/?>\s*$)/i;
+const INDENTED_CODE_REGEX = /^(?: {4}|\t)/;
+const TABLE_SEPARATOR_REGEX = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const FRONT_MATTER_FIELD_REGEX = /^(\s*[\w-]+\s*:[ \t]+)(.*?)(\s*)$/;
+
+// 行内元素，按出现位置依次尝试匹配
+const INLINE_ESCAPE_REGEX = /\\[!-/:-@[-`{-~]/y;
+const INLINE_HARD_BREAK_REGEX = /(?: {2,}|\\)\n/y;
+const INLINE_CODE_REGEX = /(`+)[\s\S]*?[^`]\1(?!`)|(`+)\2(?!`)/y;
+const INLINE_AUTOLINK_REGEX =
+  /<(?:[A-Za-z][\w+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/y;
+const INLINE_COMMENT_REGEX = /<!--[\s\S]*?-->/y;
+const INLINE_HTML_TAG_REGEX = /<\/?[A-Za-z][\w-]*(?:\s+[^<>]*)?\/?>/y;
+const INLINE_IMAGE_REGEX =
+  /!\[(?:\\.|[^\]\\])*\](?:\((?:\\.|[^)\\])*\)|\[[^\]]*\])/y;
+const INLINE_STRONG_REGEX = /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y;
+const INLINE_STRIKE_REGEX = /~~(?=\S)([\s\S]*?\S)~~/y;
+const INLINE_EMPHASIS_REGEX = /(\*|_)(?=\S)([\s\S]*?\S)\1/y;
+
+// 引擎返回的 HTML 中的标签
+const OUTPUT_TAG_REGEX = /<(\/?)([A-Za-z][\w-]*)([^>]*)>/g;
+const DATA_MD_REGEX = /\bdata-md="(\d+)"/;
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
+function matchAt(regex, text, index) {
+  regex.lastIndex = index;
+  return regex.exec(text);
+}
+
+/**
+ * 查找与 text[start] 处左括号配对的右括号，跳过转义字符和行内代码
+ * @param {string} text
+ * @param {number} start 左括号位置
+ * @param {string} open 左括号
+ * @param {string} close 右括号
+ * @returns {number} 右括号位置，没有时为 -1
+ */
+function findClosing(text, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "`") {
+      const code = matchAt(INLINE_CODE_REGEX, text, i);
+      if (code) i += code[0].length - 1;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 按未转义且不在行内代码中的 | 拆分表格行
+ * @param {string} line
+ * @returns {string[]} 单元格，首尾的 | 之外的内容也作为单元格保留
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let last = 0;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "`") {
+      const code = matchAt(INLINE_CODE_REGEX, line, i);
+      if (code) i += code[0].length - 1;
+    } else if (char === "|") {
+      cells.push(line.slice(last, i));
+      last = i + 1;
+    }
+  }
+  cells.push(line.slice(last));
+  return cells;
+}
+
+/**
+ * 判断 front matter 中的值是否为需要翻译的文本：包含字母和空白，且不是列表、对象、多行文本标记或网址
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isProseValue(value) {
+  return (
+    /\p{L}/u.test(value) &&
+    /\s/.test(value) &&
+    !/^[[{|>&*!%@#`]/.test(value) &&
+    !/^[\w+.-]+:\/\//.test(value)
+  );
+}
+
+/**
+ * 解析后的 Markdown 文档
+ */
+class MarkdownDocument {
+  /**
+   * 输出的各行，字符串原样输出，函数在渲染时用译文生成
+   * @type {Array<string|((translations: string[]) => string)>}
+   */
+  #lines = [];
+  /**
+   * 行内元素转换时记录的原始 Markdown，下标即 data-md 编号
+   * @type {Array<{open?: string, close?: string, raw?: string}>}
+   */
+  #tokens = [];
+  #eol;
+
+  /**
+   * @param {string} source Markdown 文档
+   */
+  constructor(source) {
+    this.#eol = source.includes("\r\n") ? "\r\n" : "\n";
+    /**
+     * 需要翻译的文本，已转换为 HTML
+     * @type {string[]}
+     */
+    this.segments = [];
+    this.#parse(source.split(/\r?\n/));
+  }
+
+  /**
+   * 用译文生成 Markdown 文档
+   * @param {string[]} translations 与 segments 一一对应的译文
+   * @returns {string}
+   */
+  render(translations) {
+    return this.#lines
+      .map((line) => (typeof line === "string" ? line : line(translations)))
+      .join(this.#eol);
+  }
+
+  // 添加一个需要翻译的片段，返回其编号
+  #addSegment(markdown) {
+    this.segments.push(this.#encodeInline(markdown));
+    return this.segments.length - 1;
+  }
+
+  #parse(lines) {
+    let paragraph = null;
+    let fence = null;
+    let inHTMLBlock = false;
+    let inList = false;
+    let previousBlank = true;
+
+    const closeParagraph = () => {
+      if (paragraph) {
+        this.#lines.push(this.#createParagraph(paragraph));
+        paragraph = null;
+      }
+    };
+
+    let start = 0;
+    if (/^(?:---|\+\+\+)\s*$/.test(lines[0] || "")) {
+      start = this.#parseFrontMatter(lines);
+    }
+
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i];
+
+      // 代码块内的内容原样保留，直到遇到相同字符且不短于开始标记的结束标记
+      if (fence) {
+        this.#lines.push(line);
+        const match = FENCE_REGEX.exec(line);
+        if (
+          match &&
+          match[2][0] === fence[0] &&
+          match[2].length >= fence.length &&
+          !line.slice(match[0].length).trim()
+        ) {
+          fence = null;
+        }
+        continue;
+      }
+
+      // HTML 块持续到空行
+      if (inHTMLBlock) {
+        this.#lines.push(line);
+        if (!line.trim()) inHTMLBlock = false;
+        continue;
+      }
+
+      const [, quote, body] = /^((?:[ ]{0,3}>[ ]?)*)(.*)$/.exec(line);
+
+      if (!body.trim()) {
+        closeParagraph();
+        this.#lines.push(line);
+        previousBlank = true;
+        continue;
+      }
+
+      const fenceMatch = FENCE_REGEX.exec(body);
+      if (fenceMatch) {
+        closeParagraph();
+        this.#lines.push(line);
+        fence = fenceMatch[2];
+        previousBlank = false;
+        continue;
+      }
+
+      if (paragraph && SETEXT_UNDERLINE_REGEX.test(body)) {
+        closeParagraph();
+        this.#lines.push(line);
+        previousBlank = false;
+        continue;
+      }
+
+      const indented = INDENTED_CODE_REGEX.test(body);
+      if (previousBlank && !indented && !LIST_ITEM_REGEX.test(body)) {
+        inList = false;
+      }
+
+      const isVerbatim =
+        THEMATIC_BREAK_REGEX.test(body) ||
+        REFERENCE_DEFINITION_REGEX.test(body) ||
+        EMPTY_LIST_ITEM_REGEX.test(body) ||
+        (indented && !paragraph && !inList);
+      if (isVerbatim) {
+        closeParagraph();
+        this.#lines.push(line);
+        previousBlank = false;
+        continue;
+      }
+
+      if (HTML_BLOCK_REGEX.test(body)) {
+        closeParagraph();
+        this.#lines.push(line);
+        inHTMLBlock = true;
+        previousBlank = false;
+        continue;
+      }
+
+      if (
+        body.includes("|") &&
+        i + 1 < lines.length &&
+        TABLE_SEPARATOR_REGEX.test(lines[i + 1].slice(quote.length)) &&
+        lines[i + 1].slice(quote.length).includes("-")
+      ) {
+        closeParagraph();
+        this.#lines.push(this.#createTableRow(quote, body));
+        this.#lines.push(lines[++i]);
+        while (i + 1 < lines.length) {
+          const row = /^((?:[ ]{0,3}>[ ]?)*)(.*)$/.exec(lines[i + 1]);
+          if (!row[2].trim() || !row[2].includes("|")) break;
+          this.#lines.push(this.#createTableRow(row[1], row[2]));
+          i++;
+        }
+        previousBlank = false;
+        continue;
+      }
+
+      const heading = ATX_HEADING_REGEX.exec(body);
+      if (heading) {
+        closeParagraph();
+        const [, prefix, content, suffix] = heading;
+        if (content.trim()) {
+          const segment = this.#addSegment(content);
+          this.#lines.push(
+            (translations) =>
+              quote +
+              prefix +
+              this.#decodeInline(translations[segment], "") +
+              suffix
+          );
+        } else {
+          this.#lines.push(line);
+        }
+        previousBlank = false;
+        continue;
+      }
+
+      const listItem = LIST_ITEM_REGEX.exec(body);
+      if (listItem) {
+        closeParagraph();
+        const [, marker, content] = listItem;
+        paragraph = {
+          prefix: quote + marker,
+          continuation: quote + " ".repeat(marker.length),
+          lines: [content],
+        };
+        inList = true;
+      } else if (paragraph) {
+        // 段落的后续行，去掉缩进后合并
+        paragraph.lines.push(body.trimStart());
+      } else {
+        const indent = /^\s*/.exec(body)[0];
+        paragraph = {
+          prefix: quote + indent,
+          continuation: quote + indent,
+          lines: [body.slice(indent.length)],
+        };
+      }
+      previousBlank = false;
+    }
+
+    closeParagraph();
+  }
+
+  // 解析 front matter，只翻译文本类型的值，返回正文开始的行号
+  #parseFrontMatter(lines) {
+    const delimiter = lines[0].trim();
+    const end = lines.findIndex(
+      (line, i) =>
+        i > 0 &&
+        (line.trim() === delimiter ||
+          (delimiter === "---" && line.trim() === "..."))
+    );
+    if (end < 0) return 0;
+
+    this.#lines.push(lines[0]);
+    for (let i = 1; i < end; i++) {
+      const field = FRONT_MATTER_FIELD_REGEX.exec(lines[i]);
+      if (!field) {
+        this.#lines.push(lines[i]);
+        continue;
+      }
+
+      const [, key, rawValue, trailing] = field;
+      const quoted = /^(["'])(.*)\1$/.exec(rawValue);
+      const quoteChar = quoted ? quoted[1] : "";
+      const value = quoted ? quoted[2] : rawValue;
+      if (!isProseValue(value) || (!quoted && /(?:^|\s)#|:\s/.test(value))) {
+        this.#lines.push(lines[i]);
+        continue;
+      }
+
+      // 值按纯文本翻译，不解析行内格式
+      this.segments.push(escapeXml(value));
+      const segment = this.segments.length - 1;
+      this.#lines.push((translations) => {
+        let text = unescapeXml(translations[segment].replace(/<[^>]*>/g, ""));
+        if (quoteChar === '"') {
+          text = text.replace(/["\\]/g, "\\$&");
+        } else if (quoteChar === "'") {
+          text = text.replace(/'/g, "''");
+        }
+        return key + quoteChar + text + quoteChar + trailing;
+      });
+    }
+    this.#lines.push(lines[end]);
+    return end + 1;
+  }
+
+  // 段落可能跨多行，软换行和硬换行都随译文移动，翻译后在对应位置换行，后续行使用 continuation 作为前缀
+  #createParagraph({ prefix, continuation, lines }) {
+    const segment = this.#addSegment(lines.join("\n"));
+    return (translations) =>
+      prefix +
+      this.#decodeInline(translations[segment], this.#eol + continuation);
+  }
+
+  // 表格行逐个单元格翻译，分隔符和单元格两侧的空白原样保留
+  #createTableRow(quote, body) {
+    const cells = splitTableRow(body).map((cell) => {
+      const content = cell.trim();
+      if (!content) return cell;
+
+      const leading = cell.slice(0, cell.indexOf(content));
+      const trailing = cell.slice(leading.length + content.length);
+      return { leading, trailing, segment: this.#addSegment(content) };
+    });
+
+    return (translations) =>
+      quote +
+      cells
+        .map((cell) =>
+          typeof cell === "string"
+            ? cell
+            : cell.leading +
+              this.#decodeInline(translations[cell.segment], " ") +
+              cell.trailing
+        )
+        .join("|");
+  }
+
+  // 登记一个行内元素，返回其编号
+  #addToken(token) {
+    this.#tokens.push(token);
+    return this.#tokens.length - 1;
+  }
+
+  // 原样保留的行内元素替换为空元素占位
+  #rawToken(raw) {
+    return `<img data-md="${this.#addToken({ raw })}">`;
+  }
+
+  /**
+   * 行内 Markdown 转换为 HTML：强调、删除线和链接文字转换为带编号的标签，
+   * 代码、图片、自动链接、转义字符等原样保留的内容转换为空元素，换行转换为带编号的 <br>
+   * @param {string} text
+   * @returns {string}
+   */
+  #encodeInline(text) {
+    let html = "";
+    let plain = "";
+    const flush = () => {
+      html += escapeXml(plain);
+      plain = "";
+    };
+
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      let match = null;
+
+      if (char === "\n") {
+        // 软换行前加空格，保证引擎看到的换行两侧的单词是分开的
+        plain += " ";
+        flush();
+        const id = this.#addToken({ raw: "", lineBreak: true, soft: true });
+        html += `<br data-md="${id}">`;
+        i++;
+        continue;
+      }
+
+      if (char === " " || char === "\\") {
+        match = matchAt(INLINE_HARD_BREAK_REGEX, text, i);
+        if (match) {
+          flush();
+          const style = match[0].startsWith("\\") ? "\\" : "  ";
+          const id = this.#addToken({ raw: style, lineBreak: true });
+          html += `<br data-md="${id}">`;
+          i += match[0].length;
+          continue;
+        }
+      }
+
+      if (char === "\\") {
+        match = matchAt(INLINE_ESCAPE_REGEX, text, i);
+      } else if (char === "`") {
+        match = matchAt(INLINE_CODE_REGEX, text, i);
+      } else if (char === "<") {
+        match =
+          matchAt(INLINE_AUTOLINK_REGEX, text, i) ||
+          matchAt(INLINE_COMMENT_REGEX, text, i);
+        if (!match) {
+          // 行内 HTML 标签直接交给引擎，由 HTML 模式处理
+          const tag = matchAt(INLINE_HTML_TAG_REGEX, text, i);
+          if (tag) {
+            flush();
+            html += tag[0];
+            i += tag[0].length;
+            continue;
+          }
+        }
+      } else if (char === "!") {
+        match = matchAt(INLINE_IMAGE_REGEX, text, i);
+      }
+      if (match) {
+        flush();
+        html += this.#rawToken(match[0]);
+        i += match[0].length;
+        continue;
+      }
+
+      if (char === "[") {
+        const end = findClosing(text, i, "[", "]");
+        if (end > 0) {
+          // 链接地址和引用标签原样保留，只翻译链接文字
+          let suffixEnd = end + 1;
+          if (text[suffixEnd] === "(") {
+            const close = findClosing(text, suffixEnd, "(", ")");
+            if (close > 0) suffixEnd = close + 1;
+          } else if (text[suffixEnd] === "[") {
+            const close = findClosing(text, suffixEnd, "[", "]");
+            if (close > 0) suffixEnd = close + 1;
+          }
+          flush();
+          const id = this.#addToken({
+            open: "[",
+            close: "]" + text.slice(end + 1, suffixEnd),
+          });
+          html += `<a data-md="${id}">${this.#encodeInline(
+            text.slice(i + 1, end)
+          )}</a>`;
+          i = suffixEnd;
+          continue;
+        }
+      }
+
+      if (char === "*" || char === "_" || char === "~") {
+        let tag = null;
+        if ((match = matchAt(INLINE_STRONG_REGEX, text, i))) {
+          tag = "b";
+        } else if ((match = matchAt(INLINE_STRIKE_REGEX, text, i))) {
+          tag = "s";
+        } else if ((match = matchAt(INLINE_EMPHASIS_REGEX, text, i))) {
+          tag = "i";
+        }
+        // 单词内部的下划线不是强调，如 snake_case
+        if (
+          match &&
+          char === "_" &&
+          (/[\p{L}\p{N}]/u.test(text[i - 1] || "") ||
+            /[\p{L}\p{N}]/u.test(text[i + match[0].length] || ""))
+        ) {
+          match = null;
+        }
+        if (match) {
+          const delimiter = tag === "s" ? "~~" : match[1];
+          const content = tag === "s" ? match[1] : match[2];
+          flush();
+          const id = this.#addToken({ open: delimiter, close: delimiter });
+          html += `<${tag} data-md="${id}">${this.#encodeInline(
+            content
+          )}</${tag}>`;
+          i += match[0].length;
+          continue;
+        }
+      }
+
+      plain += char;
+      i++;
+    }
+    flush();
+    return html;
+  }
+
+  /**
+   * 引擎返回的 HTML 转换回 Markdown
+   * 标记两侧的空白移到标记外面，避免 ** text** 这样无法识别的写法
+   * @param {string} html 译文
+   * @param {string} lineBreak 换行之后需要添加的换行符和缩进
+   * @returns {string}
+   */
+  #decodeInline(html, lineBreak) {
+    const root = { content: "" };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    // 软换行之后的空白来自 <br> 两侧，不属于译文
+    let afterSoftBreak = false;
+    const appendText = (segment) => {
+      let text = unescapeXml(segment);
+      if (afterSoftBreak) {
+        text = text.replace(/^[ \t]+/, "");
+        afterSoftBreak = !text;
+      }
+      top().content += text;
+    };
+
+    const closeFrame = () => {
+      const { token, content } = stack.pop();
+      if (token.html) {
+        top().content += token.open + content + token.close;
+        return;
+      }
+      const leading = /^\s*/.exec(content)[0];
+      const trailing =
+        content.length > leading.length ? /\s*$/.exec(content)[0] : "";
+      const core = content.slice(
+        leading.length,
+        content.length - trailing.length
+      );
+      top().content += leading + token.open + core + token.close + trailing;
+    };
+
+    let last = 0;
+    for (const match of html.matchAll(OUTPUT_TAG_REGEX)) {
+      appendText(html.slice(last, match.index));
+      last = match.index + match[0].length;
+
+      const [tag, slash, name, attrs] = match;
+      if (slash) {
+        afterSoftBreak = false;
+        if (stack.length > 1 && top().name === name) {
+          closeFrame();
+        } else {
+          top().content += tag;
+        }
+        continue;
+      }
+
+      const id = DATA_MD_REGEX.exec(attrs)?.[1];
+      const token = id !== undefined ? this.#tokens[Number(id)] : undefined;
+      if (token && token.soft) {
+        // 去掉换行前的空白，行尾两个以上的空格会变成硬换行
+        top().content = top().content.trimEnd() + lineBreak;
+        afterSoftBreak = true;
+      } else if (token && token.raw !== undefined) {
+        top().content += token.raw + (token.lineBreak ? lineBreak : "");
+        afterSoftBreak = false;
+      } else if (token) {
+        stack.push({ token, name, content: "" });
+      } else if (
+        VOID_ELEMENTS.includes(name.toLowerCase()) ||
+        /\/$/.test(attrs)
+      ) {
+        // 不是本模块生成的标签，原样保留
+        top().content += tag;
+        afterSoftBreak = false;
+      } else {
+        stack.push({
+          token: { open: tag, close: `</${name}>`, html: true },
+          name,
+          content: "",
+        });
+      }
+    }
+    appendText(html.slice(last));
+
+    while (stack.length > 1) {
+      closeFrame();
+    }
+    // 引擎把换行移到了译文末尾时去掉多余的空行
+    if (afterSoftBreak && root.content.endsWith(lineBreak)) {
+      return root.content.slice(0, -lineBreak.length);
+    }
+    return root.content;
+  }
+}
+
+module.exports = MarkdownDocument;
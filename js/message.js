@@ -20,11 +20,19 @@ const MESSAGE_TYPES = Object.freeze({
   TRANSLATION_REQUEST: Object.freeze({ type: "translation-request" }),
   TRANSLATION_RESPONSE: Object.freeze({ type: "translation-response" }),
   TRANSLATION_ERROR: Object.freeze({ type: "translation-error" }),
+  // 工作线程开始执行翻译任务，执行期间无法回复健康检查
+  TRANSLATION_STARTED: Object.freeze({ type: "translation-started" }),
   
   // 队列管理消息
   TRANSLATIONS_DISCARDED: Object.freeze({ type: "translations-discarded" }),
   DISCARD_TRANSLATION_QUEUE: Object.freeze({ type: "discard-translation-queue" }),
   CANCEL_SINGLE_TRANSLATION: Object.freeze({ type: "cancel-single-translation" }),
+  // 工作线程确认已从队列中移除被取消的任务
+  TRANSLATION_CANCELLED: Object.freeze({ type: "translation-cancelled" }),
+
+  // 健康检查消息，主线程定期发送，工作线程立即回复
+  HEALTH_CHECK: Object.freeze({ type: "health-check" }),
+  HEALTH_STATUS: Object.freeze({ type: "health-status" }),
 });
 
 /**
@@ -39,9 +47,13 @@ const MESSAGE_TYPE_STRINGS = Object.freeze({
   TRANSLATION_REQUEST: "translation-request",
   TRANSLATION_RESPONSE: "translation-response",
   TRANSLATION_ERROR: "translation-error",
+  TRANSLATION_STARTED: "translation-started",
   TRANSLATIONS_DISCARDED: "translations-discarded",
   DISCARD_TRANSLATION_QUEUE: "discard-translation-queue",
   CANCEL_SINGLE_TRANSLATION: "cancel-single-translation",
+  TRANSLATION_CANCELLED: "translation-cancelled",
+  HEALTH_CHECK: "health-check",
+  HEALTH_STATUS: "health-status",
 });
 
 /**
@@ -17,6 +17,17 @@ const MODELS_DIR = path.join(CACHE_DIR, "models");
 const MODELS_JSON_PATH = path.join(CACHE_DIR, "models.json");
 const MODELS_FLAGS_PATH = path.join(CACHE_DIR, "flags.json");
 
+// 引擎能够加载的模型文件类型，与 engine.js 中的 MODEL_FILE_ALIGNMENTS 保持一致
+// qualityModel 为可选的质量评估模型，只有部分语言对提供
+const MODEL_FILE_TYPES = [
+  "model",
+  "lex",
+  "vocab",
+  "qualityModel",
+  "srcvocab",
+  "trgvocab",
+];
+
 let MODELS_DATA = null;
 let MODELS_FLAGS = {
   downloaded: [],
@@ -207,13 +218,9 @@ function getModelInfo(fromLang, toLang) {
   // );
   // console.log(`Debug - Looking for model: ${fromLang}_${toLang}`);
 
-  const modelFiles = {
-    model: null,
-    lex: null,
-    vocab: null,
-    srcvocab: null,
-    trgvocab: null,
-  };
+  const modelFiles = Object.fromEntries(
+    MODEL_FILE_TYPES.map((fileType) => [fileType, null])
+  );
 
   // 获取匹配的项目并按版本排序
   const matchingItems = MODELS_DATA.data.filter(
@@ -224,7 +231,12 @@ function getModelInfo(fromLang, toLang) {
   const groupedByType = {};
   matchingItems.forEach((item) => {
     const fileType = item.fileType;
-    if (fileType && item.attachment && item.attachment.location) {
+    // 忽略引擎不认识的文件类型，否则加载模型时会失败
+    if (
+      MODEL_FILE_TYPES.includes(fileType) &&
+      item.attachment &&
+      item.attachment.location
+    ) {
       if (!groupedByType[fileType]) {
         groupedByType[fileType] = [];
       }
@@ -334,7 +346,14 @@ async function getModelPaths(fromLang, toLang, forceUpdate = false) {
         }
       }
 
-      if (Object.keys(downloadedFiles).length > 0) {
+      // 注册表中新增了文件（例如后来上线的 qualityModel）时，需要继续往下补充下载
+      const missingFiles = Object.entries(modelFiles).some(
+        ([fileType, fileInfo]) => fileInfo && !downloadedFiles[fileType]
+      );
+      if (
+        Object.keys(downloadedFiles).length > 0 &&
+        (!missingFiles || Config.OFFLINE)
+      ) {
         return downloadedFiles;
       }
     }
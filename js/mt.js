@@ -1,13 +1,60 @@
 #!/usr/bin/env node
 
-const Translator = require("./translator");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
 
+// 翻译相关模块在解析命令行参数之后才加载，Config 在加载时读取 MTRAN_DATA_DIR，
+// 这样 --model-dir 才能生效
+let Translator;
+let TranslationServer;
+let TranslationMemory;
+let ResourceFile;
+
+/**
+ * 加载翻译相关模块
+ * @param {string|null} modelDir - 命令行或配置文件指定的模型文件夹路径
+ */
+function loadModules(modelDir) {
+  if (modelDir) {
+    process.env.MTRAN_DATA_DIR = path.resolve(modelDir);
+  }
+  Translator = require("./translator");
+  TranslationServer = require("./server");
+  TranslationMemory = require("./tm");
+  ResourceFile = require("./i18n");
+}
+
 // 版本信息
 const VERSION = "3.0.0";
 
+/**
+ * 读取文本文件，iOS .strings 等文件可能使用带 BOM 的 UTF-16 编码
+ * @param {string} filePath 文件路径
+ * @returns {{content: string, encoding: string}}
+ */
+function readTextFile(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { content: buffer.toString("utf16le", 2), encoding: "utf16le" };
+  }
+  return { content: buffer.toString("utf8"), encoding: "utf8" };
+}
+
+/**
+ * 按指定编码写入文本文件，UTF-16 编码时写入 BOM
+ * @param {string} filePath 文件路径
+ * @param {string} content 文件内容
+ * @param {string} encoding 编码
+ */
+function writeTextFile(filePath, content, encoding) {
+  if (encoding === "utf16le") {
+    fs.writeFileSync(filePath, "\ufeff" + content, "utf16le");
+  } else {
+    fs.writeFileSync(filePath, content, "utf8");
+  }
+}
+
 // 配置管理类
 class ConfigManager {
   static CONFIG_DIR = path.join(os.homedir(), ".config", "mtran");
@@ -71,14 +118,39 @@ class ArgumentParser {
     const config = ConfigManager.loadConfig();
 
     const options = {
+      command: "translate",
       inputLang: config.inputLang,
       outputLang: config.outputLang,
       modelDir: config.modelDir || null,
+      host: config.host || null,
+      port: config.port || null,
       text: "",
+      output: null,
+      resourceFormat: null,
+      tmxOutput: null,
+      force: false,
+      tmAction: null,
+      // 是否在命令行显式指定了语言，tm import 只在显式指定时按语言对过滤
+      inputLangGiven: false,
+      outputLangGiven: false,
       showVersion: false,
       showHelp: false,
     };
 
+    // 子命令只能出现在第一个参数
+    if (args[0] === "serve") {
+      options.command = "serve";
+      args.shift();
+    } else if (["subtitles", "i18n", "xliff"].includes(args[0])) {
+      options.command = args.shift();
+    } else if (args[0] === "tm") {
+      options.command = "tm";
+      args.shift();
+      if (args[0] && !args[0].startsWith("-")) {
+        options.tmAction = args.shift();
+      }
+    }
+
     for (let i = 0; i < args.length; i++) {
       const arg = args[i];
 
@@ -86,15 +158,36 @@ class ArgumentParser {
         case "-il":
         case "--input-lang":
           options.inputLang = args[++i] || config.inputLang;
+          options.inputLangGiven = true;
           break;
         case "-ol":
         case "--output-lang":
           options.outputLang = args[++i] || config.outputLang;
+          options.outputLangGiven = true;
+          break;
+        case "-o":
+        case "--output":
+          options.output = args[++i];
+          break;
+        case "--format":
+          options.resourceFormat = args[++i];
+          break;
+        case "--tmx":
+          options.tmxOutput = args[++i];
+          break;
+        case "--force":
+          options.force = true;
           break;
         case "-m":
         case "--model-dir":
           options.modelDir = args[++i];
           break;
+        case "--host":
+          options.host = args[++i];
+          break;
+        case "--port":
+          options.port = parseInt(args[++i], 10);
+          break;
         case "-v":
         case "--version":
           options.showVersion = true;
@@ -124,11 +217,34 @@ class InfoDisplay {
     const config = ConfigManager.loadConfig();
     console.log(`
 使用方法: mt [选项] <文本>
+         mt serve [--host <地址>] [--port <端口>]
+         mt subtitles [选项] <字幕文件> [-o <输出文件>]
+         mt i18n [选项] <资源文件> [-o <输出文件>]
+         mt xliff [选项] <XLIFF文件> [-o <输出文件>] [--tmx <TMX文件>]
+         mt tm <list|query|import|export|clear> [选项] [文本或文件]
+
+命令:
+  serve                      启动 HTTP 翻译服务
+  subtitles <文件>            翻译 .srt 或 .vtt 字幕文件
+  i18n <文件>                 翻译资源文件 (.json .arb .yaml .properties .po strings.xml .strings)，
+                             输出文件已存在时只翻译其中没有译文的条目
+  xliff <文件>                预翻译 XLIFF 1.2/2.0 文件中没有译文的单元，标记为机器翻译
+  tm list                    列出翻译记忆库中的语言对及条目数
+  tm query <文本>             在翻译记忆库中查找译文
+  tm import <文件>            从 .tmx 或 .jsonl 文件导入翻译记忆库
+  tm export <文件>            导出翻译记忆库为 .tmx 或 .jsonl 文件
+  tm clear                   删除指定语言对的翻译记忆库
 
 选项:
   -il, --input-lang <语言>    指定源语言 (默认: ${config.inputLang})
   -ol, --output-lang <语言>   指定目标语言 (默认: ${config.outputLang})
+  -o, --output <文件>         字幕、资源文件或 XLIFF 翻译结果的输出文件 (默认: 输出到终端)
+  --tmx <文件>                将 XLIFF 的翻译结果导出为 TMX 文件
+  --format <格式>             资源文件格式 (默认: 根据扩展名判断)
+  --force                    重新翻译资源文件中的所有条目
   -m, --model-dir <路径>      指定模型文件夹路径
+  --host <地址>               HTTP 服务监听地址 (默认: localhost)
+  --port <端口>               HTTP 服务监听端口 (默认: 8989)
   -v, --version              显示版本信息
   -h, --help                 显示帮助信息
 
@@ -139,6 +255,12 @@ class InfoDisplay {
   mt "Hello World"                    # 自动检测语言并翻译为默认语言
   mt -il en -ol ja "Hello World"      # 将英文翻译为日文
   mt -m ./models "Hello World"        # 指定模型文件夹路径
+  mt serve --port 8989                # 启动 HTTP 翻译服务
+  mt subtitles in.srt -ol ja -o out.srt  # 将字幕翻译为日文
+  mt i18n en.json -ol ja -o ja.json      # 翻译资源文件，已翻译的条目保持不变
+  mt xliff in.xlf -o out.xlf --tmx out.tmx  # 预翻译 XLIFF 并导出 TMX
+  mt tm query -il en -ol ja "Hello"   # 查询翻译记忆库
+  mt tm export -il en -ol ja tm.tmx   # 导出英日翻译记忆库
   `);
   }
 
@@ -158,11 +280,6 @@ class TranslationExecutor {
    */
   static async execute(options) {
     try {
-      // 设置模型目录
-      if (options.modelDir) {
-        process.env.DATA_DIR = options.modelDir;
-      }
-
       // 执行翻译
       const result = await Translator.Translate(
         options.text,
@@ -181,6 +298,234 @@ class TranslationExecutor {
   }
 }
 
+// HTTP 服务执行器
+class ServeExecutor {
+  /**
+   * 启动 HTTP 翻译服务，收到退出信号时关闭服务并释放引擎
+   * @param {Object} options - 服务选项
+   */
+  static async execute(options) {
+    const server = new TranslationServer({
+      host: options.host || undefined,
+      port: Number.isInteger(options.port) ? options.port : undefined,
+    });
+    const { host, port } = await server.start();
+    console.log(`翻译服务已启动: http://${host}:${port}`);
+
+    const shutdown = async () => {
+      console.log("正在关闭翻译服务...");
+      await server.stop();
+      await Translator.Shutdown();
+      process.exit(0);
+    };
+
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  }
+}
+
+// 字幕翻译执行器
+class SubtitlesExecutor {
+  /**
+   * 翻译字幕文件，输出到指定文件或终端
+   * @param {Object} options - 翻译选项
+   */
+  static async execute(options) {
+    if (!options.text) {
+      throw new Error("缺少字幕文件参数");
+    }
+
+    const content = await fs.promises.readFile(options.text, "utf8");
+    const result = await Translator.TranslateSubtitles(
+      content,
+      options.inputLang,
+      options.outputLang
+    );
+
+    if (options.output) {
+      await fs.promises.writeFile(options.output, result, "utf8");
+      console.log(`已保存到 ${options.output}`);
+    } else {
+      process.stdout.write(result);
+    }
+
+    await Translator.Shutdown();
+  }
+}
+
+// XLIFF 翻译执行器
+class XliffExecutor {
+  /**
+   * 预翻译 XLIFF 文件，输出到指定文件或终端，并可导出 TMX
+   * @param {Object} options - 翻译选项
+   */
+  static async execute(options) {
+    if (!options.text) {
+      throw new Error("缺少 XLIFF 文件参数");
+    }
+
+    // 未在命令行指定语言时，使用 XLIFF 文件声明的语言
+    const content = await fs.promises.readFile(options.text, "utf8");
+    const result = await Translator.TranslateXliff(
+      content,
+      options.inputLangGiven ? options.inputLang : "auto",
+      options.outputLangGiven ? options.outputLang : undefined
+    );
+
+    if (options.output) {
+      await fs.promises.writeFile(options.output, result.content, "utf8");
+      console.log(
+        `已翻译 ${result.translated} 个单元，保存到 ${options.output}`
+      );
+    } else {
+      process.stdout.write(result.content);
+    }
+    if (options.tmxOutput) {
+      await fs.promises.writeFile(
+        options.tmxOutput,
+        Translator.ToTMX(result.pairs, result.from, result.to),
+        "utf8"
+      );
+      // 译文输出到终端时不打印提示，避免混入 XLIFF 内容
+      if (options.output) {
+        console.log(
+          `已导出 ${result.pairs.length} 条翻译到 ${options.tmxOutput}`
+        );
+      }
+    }
+
+    await Translator.Shutdown();
+  }
+}
+
+// 资源文件翻译执行器
+class I18nExecutor {
+  /**
+   * 翻译资源文件，输出文件已存在时作为已有译文
+   * @param {Object} options - 翻译选项
+   */
+  static async execute(options) {
+    if (!options.text) {
+      throw new Error("缺少资源文件参数");
+    }
+
+    const resourceFormat =
+      options.resourceFormat || ResourceFile.getFormat(options.text);
+    if (!resourceFormat) {
+      throw new Error(
+        `无法识别资源文件格式，请使用 --format 指定: ${ResourceFile.FORMATS.join(", ")}`
+      );
+    }
+
+    const input = readTextFile(options.text);
+    const existing =
+      options.output && fs.existsSync(options.output)
+        ? readTextFile(options.output).content
+        : undefined;
+
+    const result = await Translator.TranslateResource(
+      input.content,
+      options.inputLang,
+      options.outputLang,
+      { resourceFormat, existing, force: options.force }
+    );
+
+    if (options.output) {
+      writeTextFile(options.output, result.content, input.encoding);
+      console.log(
+        `已翻译 ${result.translated} 条，沿用已有译文 ${result.reused} 条，保存到 ${options.output}`
+      );
+    } else {
+      process.stdout.write(result.content);
+    }
+
+    await Translator.Shutdown();
+  }
+}
+
+// 翻译记忆库执行器
+class TranslationMemoryExecutor {
+  /**
+   * 执行翻译记忆库子命令
+   * @param {Object} options - 命令选项
+   */
+  static async execute(options) {
+    const { tmAction, text } = options;
+
+    // export 和 clear 需要明确的语言对
+    const requirePair = () => {
+      if (options.inputLang === "auto") {
+        throw new Error("请使用 -il 指定源语言");
+      }
+      return { from: options.inputLang, to: options.outputLang };
+    };
+    const requireArg = (name) => {
+      if (!text) {
+        throw new Error(`缺少${name}参数`);
+      }
+      return text;
+    };
+
+    switch (tmAction) {
+      case "list": {
+        const pairs = await TranslationMemory.listPairs();
+        if (pairs.length === 0) {
+          console.log("翻译记忆库为空");
+        }
+        for (const { from, to, entries } of pairs) {
+          console.log(`${from} -> ${to}: ${entries}`);
+        }
+        break;
+      }
+      case "query": {
+        const query = requireArg("文本");
+        const from =
+          options.inputLang === "auto"
+            ? await Translator.DetectLang(query)
+            : options.inputLang;
+        const [target] = await TranslationMemory.lookup(
+          from,
+          options.outputLang,
+          [query]
+        );
+        if (target === undefined) {
+          console.error("未在翻译记忆库中找到");
+          process.exitCode = 1;
+        } else {
+          console.log(target);
+        }
+        break;
+      }
+      case "import": {
+        const file = requireArg("文件");
+        const count = await TranslationMemory.importFile(file, {
+          from:
+            options.inputLangGiven && options.inputLang !== "auto"
+              ? options.inputLang
+              : undefined,
+          to: options.outputLangGiven ? options.outputLang : undefined,
+        });
+        console.log(`已导入 ${count} 条翻译记忆`);
+        break;
+      }
+      case "export": {
+        const file = requireArg("文件");
+        const count = await TranslationMemory.exportFile(file, requirePair());
+        console.log(`已导出 ${count} 条翻译记忆到 ${file}`);
+        break;
+      }
+      case "clear": {
+        const { from, to } = requirePair();
+        await TranslationMemory.clear(from, to);
+        console.log(`已删除 ${from} -> ${to} 的翻译记忆库`);
+        break;
+      }
+      default:
+        InfoDisplay.showHelp();
+    }
+  }
+}
+
 // 主函数
 async function main() {
   try {
@@ -192,8 +537,46 @@ async function main() {
       return;
     }
 
-    // 显示帮助信息或缺少文本参数
-    if (options.showHelp || !options.text) {
+    // 显示帮助信息
+    if (options.showHelp) {
+      InfoDisplay.showHelp();
+      return;
+    }
+
+    loadModules(options.modelDir);
+
+    // 启动 HTTP 服务
+    if (options.command === "serve") {
+      await ServeExecutor.execute(options);
+      return;
+    }
+
+    // 字幕翻译子命令
+    if (options.command === "subtitles") {
+      await SubtitlesExecutor.execute(options);
+      return;
+    }
+
+    // 资源文件翻译子命令
+    if (options.command === "i18n") {
+      await I18nExecutor.execute(options);
+      return;
+    }
+
+    // XLIFF 翻译子命令
+    if (options.command === "xliff") {
+      await XliffExecutor.execute(options);
+      return;
+    }
+
+    // 翻译记忆库子命令
+    if (options.command === "tm") {
+      await TranslationMemoryExecutor.execute(options);
+      return;
+    }
+
+    // 缺少文本参数
+    if (!options.text) {
       InfoDisplay.showHelp();
       return;
     }
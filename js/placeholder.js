@@ -0,0 +1,266 @@
+"use strict";
+
+// 占位符保护
+// 需要原样保留（网址、代码、格式化变量等）或替换为指定文本（术语）的片段在翻译前替换为 HTML 空元素占位符，
+// 借助 Bergamot 的 HTML 模式随词对齐移动到译文中的对应位置，翻译后再还原
+
+const { escapeXml, unescapeXml } = require("./utils");
+
+// 译文中的占位符和 HTML 实体，还原时逐个处理以便同步计算偏移
+const RESTORE_REGEX =
+  /<img\b[^>]*?\bdata-mt="(\d+)"[^>]*>|&(?:#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g;
+const HTML_TAG_REGEX = /<[^>]*>/g;
+
+// 默认不翻译的片段
+const PROTECT_PATTERNS = [
+  // 网址，结尾的标点通常属于句子而不是网址
+  /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>"'`]*[^\s<>"'`.,;:!?)\]}]/g,
+  // 电子邮件地址
+  /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  // 行内代码
+  /`[^`\n]+`/g,
+  // printf 格式符，如 %s、%1$d、%.2f、%@，前面紧跟字母、数字或 % 时不是格式符（如 10%chance、%%s）
+  /(?<![\w%])%(?:\d+\$)?[-+#0]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|z|j|t)?[diouxXeEfFgGaAcsp@]/g,
+];
+// 花括号内为变量名时视为格式化变量：{name}、{0}、{{name}}、{count, plural, ...}
+const BRACE_ARGUMENT_REGEX = /^\s*\{?\s*[\w.$-]*\s*\}?\s*(?:,[\s\S]*)?$/;
+
+function placeholderTag(id) {
+  return `<img data-mt="${id}">`;
+}
+
+/**
+ * 选出互不重叠的片段：起点靠前的优先，起点相同时更长的优先
+ * @param {Array<{start: number, end: number}>} spans
+ * @returns {Array<{start: number, end: number}>}
+ */
+function selectSpans(spans) {
+  const sorted = spans
+    .filter(({ start, end }) => end > start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const selected = [];
+  let lastEnd = 0;
+  for (const span of sorted) {
+    if (span.start >= lastEnd) {
+      selected.push(span);
+      lastEnd = span.end;
+    }
+  }
+  return selected;
+}
+
+/**
+ * 获取 HTML 中标签所占的区间，标签内部的内容不能被替换
+ * @param {string} html
+ * @returns {Array<[number, number]>}
+ */
+function getTagRanges(html) {
+  return Array.from(html.matchAll(HTML_TAG_REGEX), (match) => [
+    match.index,
+    match.index + match[0].length,
+  ]);
+}
+
+/**
+ * 查找花括号格式化变量，包括嵌套花括号的 ICU plural/select 参数
+ * @param {string} text
+ * @returns {Array<{start: number, end: number}>}
+ */
+function findBraceArguments(text) {
+  const spans = [];
+  let start = text.indexOf("{");
+  while (start >= 0) {
+    let depth = 0;
+    let end = -1;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === "{") {
+        depth++;
+      } else if (text[i] === "}" && --depth === 0) {
+        end = i + 1;
+        break;
+      }
+    }
+    // 没有闭合的花括号，之后也不会再有完整的变量
+    if (end < 0) break;
+
+    if (BRACE_ARGUMENT_REGEX.test(text.slice(start + 1, end - 1))) {
+      spans.push({ start, end });
+      start = text.indexOf("{", end);
+    } else {
+      start = text.indexOf("{", start + 1);
+    }
+  }
+  return spans;
+}
+
+/**
+ * 一批文本的占位符替换结果
+ */
+class PlaceholderMask {
+  /**
+   * 每个文本的占位符列表，下标即占位符编号
+   * @type {Array<Array<{original: string, replacement: string}>>}
+   */
+  #placeholders;
+
+  /**
+   * @param {string[]} texts 原文
+   * @param {boolean} isHTML 原文是否为 HTML
+   * @param {(text: string) => Array<{start: number, end: number, value?: string}>} findSpans 查找需要保护的片段，value 为还原时使用的文本，缺省时还原为原文片段
+   */
+  constructor(texts, isHTML, findSpans) {
+    this.sourceIsHTML = isHTML;
+
+    const spansList = texts.map((text) =>
+      typeof text === "string" && text ? this.#findSpans(text, findSpans) : []
+    );
+
+    // 是否有文本需要替换，没有时保持原样
+    this.active = spansList.some((spans) => spans.length > 0);
+    // 每个文本引擎需要使用的模式：含占位符的纯文本按 HTML 翻译，其余文本保持原来的模式
+    this.htmlModes = spansList.map((spans) => isHTML || spans.length > 0);
+
+    this.#placeholders = spansList.map(() => []);
+    this.texts = texts.map((text, i) =>
+      spansList[i].length > 0 ? this.#mask(text, spansList[i], i) : text
+    );
+  }
+
+  // 查找片段，HTML 原文中跳过截断标签的片段，完整包含标签的片段（如 <xliff:g>…</xliff:g>）可以整体保护
+  #findSpans(text, findSpans) {
+    let spans = findSpans(text);
+    if (this.sourceIsHTML && spans.length > 0) {
+      const tagRanges = getTagRanges(text);
+      spans = spans.filter(
+        ({ start, end }) =>
+          !tagRanges.some(
+            ([tagStart, tagEnd]) =>
+              start < tagEnd &&
+              end > tagStart &&
+              (start > tagStart || end < tagEnd)
+          )
+      );
+    }
+    return selectSpans(spans);
+  }
+
+  // 把片段替换为占位符，纯文本原文同时转义为 HTML
+  #mask(text, spans, index) {
+    if (typeof text !== "string") return text;
+
+    const escape = (segment) =>
+      this.sourceIsHTML ? segment : escapeXml(segment);
+    const placeholders = this.#placeholders[index];
+
+    let masked = "";
+    let last = 0;
+    for (const { start, end, value } of spans) {
+      const original = text.slice(start, end);
+      let replacement = original;
+      if (value !== undefined) {
+        replacement = this.sourceIsHTML ? escapeXml(value) : value;
+      }
+
+      masked +=
+        escape(text.slice(last, start)) + placeholderTag(placeholders.length);
+      placeholders.push({ original, replacement });
+      last = end;
+    }
+    return masked + escape(text.slice(last));
+  }
+
+  /**
+   * 查找不应翻译的片段
+   * @param {string} text
+   * @param {Object} options
+   * @param {boolean} [options.builtin] 是否查找内置规则：网址、电子邮件地址、行内代码、花括号变量、ICU 参数和 printf 格式符
+   * @param {RegExp[]} [options.patterns] 自定义正则，必须带 g 标志
+   * @returns {Array<{start: number, end: number}>}
+   */
+  static findProtectedSpans(text, { builtin = true, patterns = [] } = {}) {
+    const spans = builtin ? findBraceArguments(text) : [];
+    for (const pattern of builtin
+      ? [...PROTECT_PATTERNS, ...patterns]
+      : patterns) {
+      for (const match of text.matchAll(pattern)) {
+        spans.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * 还原译文中的占位符
+   * @param {string} text 引擎返回的译文
+   * @param {number} index 原文下标
+   * @returns {{text: string, missing: string[], mapOffset: (offset: number) => number}} missing 为译文中丢失的占位符对应的原文片段
+   */
+  restore(text, index) {
+    return this.#restore(text, index, "replacement");
+  }
+
+  /**
+   * 还原替换过占位符的原文，用于详细结果中的 sourceText
+   * @param {string} text 替换过占位符的原文
+   * @param {number} index 原文下标
+   * @returns {{text: string, missing: string[], mapOffset: (offset: number) => number}}
+   */
+  restoreSource(text, index) {
+    return this.#restore(text, index, "original");
+  }
+
+  #restore(text, index, field) {
+    const placeholders = this.#placeholders[index];
+    // 没有占位符的文本没有经过替换和转义，原样返回
+    if (!placeholders?.length || typeof text !== "string") {
+      return { text, missing: [], mapOffset: (offset) => offset };
+    }
+
+    const restored = new Set();
+    // offsets[i] 为 text 中下标 i 在还原后文本中的位置
+    const offsets = new Uint32Array(text.length + 1);
+
+    let result = "";
+    let last = 0;
+    const copy = (end) => {
+      for (let i = last; i < end; i++) {
+        offsets[i] = result.length + (i - last);
+      }
+      result += text.slice(last, end);
+    };
+
+    for (const match of text.matchAll(RESTORE_REGEX)) {
+      copy(match.index);
+      const matchEnd = match.index + match[0].length;
+      offsets.fill(result.length, match.index, matchEnd);
+
+      if (match[1] !== undefined) {
+        const id = Number(match[1]);
+        // 重复出现的占位符只还原第一次
+        if (placeholders[id] && !restored.has(id)) {
+          restored.add(id);
+          result += placeholders[id][field];
+        }
+      } else {
+        result += this.sourceIsHTML ? match[0] : unescapeXml(match[0]);
+      }
+      last = matchEnd;
+    }
+    copy(text.length);
+    offsets[text.length] = result.length;
+
+    const missing = placeholders
+      .filter((_, id) => !restored.has(id))
+      .map(({ original }) => original);
+
+    return {
+      text: result,
+      missing,
+      mapOffset: (offset) =>
+        offsets[Math.min(Math.max(offset, 0), text.length)],
+    };
+  }
+}
+
+module.exports = PlaceholderMask;
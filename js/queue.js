@@ -0,0 +1,215 @@
+"use strict";
+
+// worker 线程内的翻译任务队列
+// 按优先级排队，定期让出事件循环，使取消请求和更高优先级的请求能够及时到达
+
+const { performance } = require("perf_hooks");
+const { AbortError } = require("./utils");
+const Config = require("./config");
+
+function log(...args) {
+  if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+    console.log("Worker:", ...args);
+  }
+}
+
+/**
+ * 工作队列类，用于管理翻译任务
+ */
+class WorkQueue {
+  // 时间预算（毫秒）
+  #TIME_BUDGET = 100;
+  // 立即运行的任务数
+  #RUN_IMMEDIATELY_COUNT = 20;
+  // 任务优先级，从高到低，与主线程的 PRIORITIES 一致
+  #PRIORITIES = ["interactive", "normal", "background"];
+  // 等待超过此时间（毫秒）的任务不再让位给更高优先级的任务，避免低优先级任务饿死
+  #MAX_WAIT = 2000;
+
+  /**
+   * 按优先级划分的任务队列，每个队列内按加入顺序先进先出
+   * @type {Map<string, Map<number, {task: Function, resolve: Function, reject: Function, enqueuedAt: number}>>}
+   */
+  #queues = new Map(this.#PRIORITIES.map((priority) => [priority, new Map()]));
+
+  #isRunning = false;
+  #isWorkCancelled = false;
+  #runImmediately = this.#RUN_IMMEDIATELY_COUNT;
+  #taskBatchSize = 5; // 批处理大小
+
+  /**
+   * 运行任务并返回结果
+   * @template T
+   * @param {number} translationId 翻译ID
+   * @param {() => T} task 任务函数
+   * @param {string} [priority="normal"] 任务优先级：interactive、normal 或 background
+   * @returns {Promise<T>} 任务结果
+   */
+  runTask(translationId, task, priority = "normal") {
+    const queue = this.#queues.get(priority) || this.#queues.get("normal");
+
+    if (this.#runImmediately > 0 && queue !== this.#queues.get("background")) {
+      // 前N个任务立即运行，后台任务总是排队
+      this.#runImmediately--;
+      return Promise.resolve(task());
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.set(translationId, {
+        task,
+        resolve,
+        reject,
+        enqueuedAt: performance.now(),
+      });
+      this.#run().catch((error) => console.error(error));
+    });
+  }
+
+  /**
+   * 取消特定任务，尚在队列中的任务以 AbortError 拒绝
+   * @param {number} translationId 翻译ID
+   * @returns {boolean} 是否从队列中移除了任务
+   */
+  cancelTask(translationId) {
+    for (const queue of this.#queues.values()) {
+      const entry = queue.get(translationId);
+      if (entry) {
+        queue.delete(translationId);
+        entry.reject(new AbortError());
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 所有队列中的任务数
+   * @returns {number}
+   */
+  get #size() {
+    let size = 0;
+    for (const queue of this.#queues.values()) {
+      size += queue.size;
+    }
+    return size;
+  }
+
+  /**
+   * 取出下一个任务：优先取最高优先级队列中最早的任务，
+   * 但有任务等待超过 #MAX_WAIT 时，先取其中等待最久的任务
+   * @returns {[number, {task: Function, resolve: Function, reject: Function}, Map]} 翻译ID、任务和所在队列
+   */
+  #takeNextTask() {
+    const now = performance.now();
+    let highest = null;
+    let starved = null;
+
+    for (const queue of this.#queues.values()) {
+      const entry = queue.entries().next().value;
+      if (!entry) continue;
+
+      highest = highest || [...entry, queue];
+      if (
+        now - entry[1].enqueuedAt > this.#MAX_WAIT &&
+        (!starved || entry[1].enqueuedAt < starved[1].enqueuedAt)
+      ) {
+        starved = [...entry, queue];
+      }
+    }
+
+    const next = starved || highest;
+    next[2].delete(next[0]);
+    return next;
+  }
+
+  /**
+   * 内部运行函数
+   */
+  async #run() {
+    if (this.#isRunning) {
+      return;
+    }
+
+    this.#isRunning = true;
+
+    let lastTimeout = null;
+    let tasksInBatch = 0;
+    let batchCount = 0;
+
+    while (this.#size) {
+      if (this.#isWorkCancelled) {
+        break;
+      }
+
+      const now = performance.now();
+
+      if (lastTimeout === null) {
+        lastTimeout = now;
+        // 让其他工作进入队列
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      } else if (
+        now - lastTimeout > this.#TIME_BUDGET ||
+        batchCount >= this.#taskBatchSize
+      ) {
+        // 无等待超时，清除当前事件循环中的promise队列
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        log(`Processed ${tasksInBatch} tasks in batch`);
+        lastTimeout = performance.now();
+        batchCount = 0;
+      }
+
+      // 每个await之间检查
+      if (this.#isWorkCancelled || !this.#size) {
+        break;
+      }
+
+      // 没有交互任务时，处理下一个任务前先让出事件循环，使刚到达的交互请求能够先入队
+      if (!this.#queues.get(this.#PRIORITIES[0]).size) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (this.#isWorkCancelled || !this.#size) {
+          break;
+        }
+      }
+
+      tasksInBatch++;
+      batchCount++;
+
+      // 按优先级取出下一个任务，同一优先级内先进先出
+      const [, { task, resolve, reject }] = this.#takeNextTask();
+
+      try {
+        const result = await task();
+
+        // 每个await之间检查
+        if (this.#isWorkCancelled) {
+          break;
+        }
+
+        // 工作完成，解析原始任务
+        resolve(result);
+      } catch (error) {
+        reject(error);
+      }
+    }
+
+    log(`Finished processing ${tasksInBatch} tasks`);
+    this.#isRunning = false;
+  }
+
+  /**
+   * 取消所有工作
+   */
+  async cancelWork() {
+    this.#isWorkCancelled = true;
+    for (const queue of this.#queues.values()) {
+      for (const { reject } of queue.values()) {
+        reject(new AbortError());
+      }
+      queue.clear(); // 使用clear()代替重新分配
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    this.#isWorkCancelled = false;
+  }
+}
+
+module.exports = WorkQueue;
@@ -0,0 +1,295 @@
+"use strict";
+
+// 内置 HTTP 翻译服务
+// 将 Translator 的翻译、语言检测和语言列表接口包装为 JSON 接口，供多个服务共享同一个 worker 池
+
+const http = require("http");
+const Translator = require("./translator");
+const Lang = require("./lang");
+const Config = require("./config");
+
+// 请求体大小上限（字节），避免异常请求占满内存
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// 翻译器参数校验失败时的错误信息，属于客户端的输入问题
+const VALIDATION_ERROR_PATTERN =
+  /^(Invalid |Unsupported |Detailed results are not supported|Target language is required)/;
+
+function log(...args) {
+  if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+    console.log("Server:", ...args);
+  }
+}
+
+/**
+ * 带 HTTP 状态码的错误，用于向客户端返回 4xx 响应
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode HTTP 状态码
+   * @param {string} message 错误信息
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        // 丢弃剩余的请求体但保留连接，使 413 响应能够发送给客户端
+        req.removeAllListeners("data");
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      if (!raw.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          reject(new HttpError(400, "Request body must be a JSON object"));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {Object} payload
+ */
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/**
+ * 获取错误对应的 HTTP 状态码：超时返回 504，翻译器的参数校验错误返回 400，其他错误返回 500
+ * @param {Error} error
+ * @returns {number}
+ */
+function getStatusCode(error) {
+  if (error instanceof HttpError) {
+    return error.statusCode;
+  }
+  if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+    return 504;
+  }
+  if (VALIDATION_ERROR_PATTERN.test(error?.message)) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * 检查待翻译文本是否为字符串或字符串数组
+ * @param {any} text
+ * @returns {boolean}
+ */
+function isValidText(text) {
+  if (typeof text === "string") return true;
+  return Array.isArray(text) && text.every((item) => typeof item === "string");
+}
+
+/**
+ * HTTP 翻译服务
+ *
+ * 接口:
+ * - POST /translate  {from?, to, text, html?, format?, detect?} -> {translatedText, detectedLanguage?}
+ * - POST /detect     {text, topK?} -> {language, probability, reliable, candidates}
+ * - GET  /languages  -> {languages}
+ */
+class TranslationServer {
+  /**
+   * 创建翻译服务实例
+   * @param {Object} options 服务配置选项
+   * @param {string} options.host 监听地址
+   * @param {number} options.port 监听端口
+   */
+  constructor(options = {}) {
+    this.host = options.host || Config.SERVER_HOST;
+    this.port = options.port ?? Config.SERVER_PORT;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+  }
+
+  /**
+   * 启动服务
+   * @returns {Promise<{host: string, port: number}>} 实际监听的地址
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const onError = (error) => reject(error);
+      this.server.once("error", onError);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", onError);
+        const address = this.server.address();
+        log(`Listening on http://${this.host}:${address.port}`);
+        resolve({ host: this.host, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * 停止服务，不再接受新连接
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server.listening) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections?.();
+    });
+  }
+
+  /**
+   * 处理单个 HTTP 请求
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = `${req.method} ${pathname}`;
+
+    try {
+      switch (route) {
+        case "POST /translate":
+          sendJson(
+            res,
+            200,
+            await this.handleTranslate(await readJsonBody(req))
+          );
+          break;
+        case "POST /detect":
+          sendJson(res, 200, await this.handleDetect(await readJsonBody(req)));
+          break;
+        case "GET /languages":
+          sendJson(res, 200, { languages: Translator.GetSupportLanguages() });
+          break;
+        default:
+          throw new HttpError(404, `Not found: ${route}`);
+      }
+    } catch (error) {
+      const statusCode = getStatusCode(error);
+      if (statusCode === 500) {
+        console.error(`Request failed (${route}):`, error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, statusCode, { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 翻译接口
+   * @param {Object} body 请求体
+   * @returns {Promise<{translatedText: string|string[], detectedLanguage?: string|string[]}>}
+   */
+  async handleTranslate(body) {
+    const { from = "auto", to, text, html = false, format, detect } = body;
+
+    if (!isValidText(text)) {
+      throw new HttpError(
+        400,
+        '"text" must be a string or an array of strings'
+      );
+    }
+    if (!to) {
+      throw new HttpError(400, 'Missing "to" language code');
+    }
+    if (from !== "auto" && !Lang.MALL.includes(from)) {
+      throw new HttpError(400, `Invalid from language code: ${from}`);
+    }
+    if (!Lang.MALL.includes(to)) {
+      throw new HttpError(400, `Invalid to language code: ${to}`);
+    }
+    if (
+      format !== undefined &&
+      !["text", "html", "markdown"].includes(format)
+    ) {
+      throw new HttpError(400, `Invalid format: ${format}`);
+    }
+    if (
+      detect !== undefined &&
+      !["first", "each", "segments"].includes(detect)
+    ) {
+      throw new HttpError(400, `Invalid detect mode: ${detect}`);
+    }
+
+    const result = await Translator.Translate(text, from, to, {
+      html: !!html,
+      ...(format !== undefined && { format }),
+      ...(detect !== undefined && { detect }),
+    });
+
+    // 逐个检测语言时同时返回每个文本检测出来的源语言
+    if (from === "auto" && detect === "each") {
+      const results = Array.isArray(result) ? result : [result];
+      const translatedText = results.map((item) => item.text);
+      const detectedLanguage = results.map((item) => item.from);
+      return Array.isArray(result)
+        ? { translatedText, detectedLanguage }
+        : {
+            translatedText: translatedText[0],
+            detectedLanguage: detectedLanguage[0],
+          };
+    }
+    return { translatedText: result };
+  }
+
+  /**
+   * 语言检测接口
+   * @param {Object} body 请求体
+   * @returns {Promise<{language: string, probability: number, reliable: boolean, candidates: Array<{language: string, probability: number}>}>}
+   */
+  async handleDetect(body) {
+    const { text, topK = 1 } = body;
+
+    if (typeof text !== "string") {
+      throw new HttpError(400, '"text" must be a string');
+    }
+    if (!Number.isInteger(topK) || topK < 1) {
+      throw new HttpError(400, '"topK" must be a positive integer');
+    }
+
+    return Translator.DetectLang(text, { detailed: true, topK });
+  }
+}
+
+module.exports = TranslationServer;
@@ -0,0 +1,240 @@
+"use strict";
+
+// 字幕文件翻译（SRT 和 WebVTT）
+// 序号、时间轴、字幕设置以及 WebVTT 的 NOTE/STYLE/REGION 块原样保留，只翻译字幕文本。
+// 多行字幕合并为一个文本翻译以保留上下文，换行和样式标签转换为 HTML 标签，借助 Bergamot 的 HTML 模式随译文移动
+
+const { escapeXml, unescapeXml } = require("./utils");
+
+// 字幕文本中的样式标签：HTML 风格标签（<i>、<font color>、<c.yellow>、<v Speaker>、<00:01.000>）和 ASS 覆盖标签（{\an8}）
+const CUE_TAG_REGEX = /<[^<>\n]*>|\{\\[^{}\n]*\}/g;
+// 引擎返回的 HTML 中的标签
+const OUTPUT_TAG_REGEX = /<(\/?)([A-Za-z][\w-]*)([^>]*)>/g;
+const DATA_SUB_REGEX = /\bdata-sub="(\d+)"/;
+const ENTITY_REGEX = /&(?:#\d+|#x[0-9a-fA-F]+|[A-Za-z]\w*);/y;
+// 不含字幕文本的 WebVTT 块
+const VTT_METADATA_BLOCK_REGEX = /^(?:WEBVTT|NOTE|STYLE|REGION)(?:[ \t]|$)/;
+
+// 取出标签名，用于配对开始和结束标签，如 <c.yellow> -> c
+function getTagName(tag) {
+  return /^<\/?([^\s.>/]*)/.exec(tag)[1].toLowerCase();
+}
+
+/**
+ * 解析后的字幕文件
+ */
+class SubtitleDocument {
+  /**
+   * 输出的各行，字符串原样输出，函数在渲染时用译文生成
+   * @type {Array<string|((translations: string[]) => string)>}
+   */
+  #lines = [];
+  /**
+   * 样式标签的原始文本，下标即 data-sub 编号
+   * @type {Array<{open: string, close: string, void?: boolean}>}
+   */
+  #tokens = [];
+  #eol;
+
+  /**
+   * @param {string} content SRT 或 WebVTT 文件内容
+   */
+  constructor(content) {
+    this.#eol = content.includes("\r\n") ? "\r\n" : "\n";
+    /**
+     * 字幕格式，内容以 WEBVTT 开头时为 vtt，否则为 srt
+     * @type {"srt"|"vtt"}
+     */
+    this.format = /^\uFEFF?WEBVTT/.test(content) ? "vtt" : "srt";
+    /**
+     * 需要翻译的字幕文本，已转换为 HTML
+     * @type {string[]}
+     */
+    this.segments = [];
+    this.#parse(content.split(/\r?\n/));
+  }
+
+  /**
+   * 字幕的纯文本，去掉样式标签，用于检测语言
+   * @returns {string}
+   */
+  get plainText() {
+    return this.segments
+      .map((segment) => unescapeXml(segment.replace(/<[^>]*>/g, " ")))
+      .join("\n");
+  }
+
+  /**
+   * 用译文生成字幕文件
+   * @param {string[]} translations 与 segments 一一对应的译文
+   * @returns {string}
+   */
+  render(translations) {
+    return this.#lines
+      .map((line) => (typeof line === "string" ? line : line(translations)))
+      .join(this.#eol);
+  }
+
+  // 按空行分块，块内包含 --> 的行为时间轴，之后的行为字幕文本
+  #parse(lines) {
+    let block = [];
+    const flush = () => {
+      if (block.length > 0) {
+        this.#addBlock(block);
+        block = [];
+      }
+    };
+
+    for (const line of lines) {
+      if (line.trim()) {
+        block.push(line);
+      } else {
+        flush();
+        this.#lines.push(line);
+      }
+    }
+    flush();
+  }
+
+  #addBlock(block) {
+    const timingIndex = block.findIndex((line) => line.includes("-->"));
+    const isMetadata =
+      this.format === "vtt" &&
+      VTT_METADATA_BLOCK_REGEX.test(block[0].replace(/^\uFEFF/, ""));
+    if (timingIndex < 0 || isMetadata || timingIndex === block.length - 1) {
+      this.#lines.push(...block);
+      return;
+    }
+
+    this.#lines.push(...block.slice(0, timingIndex + 1));
+    this.segments.push(this.#encodeCue(block.slice(timingIndex + 1)));
+    const segment = this.segments.length - 1;
+    this.#lines.push((translations) =>
+      this.#decodeCue(translations[segment]).split("\n").join(this.#eol)
+    );
+  }
+
+  // 转义标签之外的文本，WebVTT 中已有的实体保持不变
+  #escapeText(text) {
+    if (this.format === "srt") {
+      return escapeXml(text);
+    }
+    let escaped = "";
+    for (let i = 0; i < text.length; i++) {
+      ENTITY_REGEX.lastIndex = i;
+      const entity = text[i] === "&" && ENTITY_REGEX.exec(text);
+      if (entity) {
+        escaped += entity[0];
+        i += entity[0].length - 1;
+      } else {
+        escaped += escapeXml(text[i]);
+      }
+    }
+    return escaped;
+  }
+
+  /**
+   * 多行字幕合并为一个 HTML 文本：换行转换为 <br>，成对的样式标签转换为带编号的 <span>，
+   * 时间戳、ASS 覆盖标签和无法配对的结束标签转换为带编号的空元素
+   * @param {string[]} lines 字幕文本行
+   * @returns {string}
+   */
+  #encodeCue(lines) {
+    const stack = [];
+    const addVoid = (raw) => {
+      this.#tokens.push({ open: raw, close: "", void: true });
+      return `<img data-sub="${this.#tokens.length - 1}">`;
+    };
+
+    const encoded = lines.map((line) => {
+      let html = "";
+      let last = 0;
+      for (const match of line.matchAll(CUE_TAG_REGEX)) {
+        html += this.#escapeText(line.slice(last, match.index));
+        last = match.index + match[0].length;
+
+        const tag = match[0];
+        const name = tag.startsWith("<") ? getTagName(tag) : "";
+        if (!name || /^\d/.test(name)) {
+          html += addVoid(tag);
+        } else if (tag.startsWith("</")) {
+          const openIndex = stack.findLastIndex((item) => item.name === name);
+          if (openIndex < 0) {
+            html += addVoid(tag);
+            continue;
+          }
+          // 先关闭中间未闭合的标签，保证生成的 HTML 嵌套正确
+          while (stack.length > openIndex + 1) {
+            stack.pop();
+            html += "</span>";
+          }
+          stack.pop().token.close = tag;
+          html += "</span>";
+        } else {
+          const token = { open: tag, close: "" };
+          this.#tokens.push(token);
+          stack.push({ name, token });
+          html += `<span data-sub="${this.#tokens.length - 1}">`;
+        }
+      }
+      return html + this.#escapeText(line.slice(last));
+    });
+
+    return encoded.join("<br>") + "</span>".repeat(stack.length);
+  }
+
+  /**
+   * 引擎返回的 HTML 转换回字幕文本，样式标签两侧的空白移到标签外面
+   * @param {string} html 译文
+   * @returns {string}
+   */
+  #decodeCue(html) {
+    const root = { content: "" };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    const text = (segment) => {
+      const plain = unescapeXml(segment);
+      return this.format === "vtt" ? this.#escapeText(plain) : plain;
+    };
+
+    const closeFrame = () => {
+      const { token, content } = stack.pop();
+      const leading = /^\s*/.exec(content)[0];
+      const trailing =
+        content.length > leading.length ? /\s*$/.exec(content)[0] : "";
+      const core = content.slice(
+        leading.length,
+        content.length - trailing.length
+      );
+      top().content += leading + token.open + core + token.close + trailing;
+    };
+
+    let last = 0;
+    for (const match of html.matchAll(OUTPUT_TAG_REGEX)) {
+      top().content += text(html.slice(last, match.index));
+      last = match.index + match[0].length;
+
+      const [, slash, name, attrs] = match;
+      const id = DATA_SUB_REGEX.exec(attrs)?.[1];
+      const token = id !== undefined ? this.#tokens[Number(id)] : undefined;
+      if (name.toLowerCase() === "br") {
+        top().content = top().content.trimEnd() + "\n";
+      } else if (slash) {
+        if (stack.length > 1) closeFrame();
+      } else if (token && token.void) {
+        top().content += token.open;
+      } else if (token) {
+        stack.push({ token, content: "" });
+      }
+    }
+    top().content += text(html.slice(last));
+
+    while (stack.length > 1) {
+      closeFrame();
+    }
+    // 换行后的空白来自 <br> 两侧，不属于字幕文本
+    return root.content.replace(/\n[ \t]+/g, "\n").trim();
+  }
+}
+
+module.exports = SubtitleDocument;
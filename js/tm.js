@@ -0,0 +1,424 @@
+"use strict";
+
+// 持久化翻译记忆库
+// 每个语言对一个 JSONL 文件，位于 DATA_DIR/tm/<from>_<to>.jsonl，每行一条 {source, target, html?}
+// 新结果以追加方式写入，加载时后出现的记录覆盖先出现的同一原文
+// 每个语言对最多保留 Config.TM_MAX_ENTRIES 条，文件中的旧记录过多时重写文件，内存中只保留最近使用的几个语言对
+
+const fs = require("fs").promises;
+const path = require("path");
+const Config = require("./config");
+const Lang = require("./lang");
+const { escapeXml, unescapeXml, TRANSLATION_ERROR_TEXT } = require("./utils");
+const { version: VERSION } = require("../package.json");
+
+const TM_DIR = path.join(Config.DATA_DIR, "tm");
+
+function log(...args) {
+  if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+    console.log("TM:", ...args);
+  }
+}
+
+// 规范化语言代码，与 Translator 使用相同的别名规则
+function normalizeLang(lang) {
+  return Lang.MALIAS[lang] || lang;
+}
+
+// 记忆库条目的键，HTML 与纯文本分开存储
+function getEntryKey(source, isHTML) {
+  return `${isHTML ? "html" : "text"}\u0000${source}`;
+}
+
+// 记忆库文件中的一行，纯文本条目省略 html 字段
+function serializeEntry({ source, target, html }) {
+  return JSON.stringify(html ? { source, target, html } : { source, target });
+}
+
+// 条目数超过 Config.TM_MAX_ENTRIES 时淘汰最早写入的条目
+function trimEntries(entries) {
+  if (Config.TM_MAX_ENTRIES <= 0) return;
+  while (entries.size > Config.TM_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// TMX 片段中的行内标记（bpt/ept/ph/it）包含原始格式代码，导入时连同内容一起去掉
+const TMX_INLINE_CODE_REGEX = /<(bpt|ept|ph|it)\b[^>]*>[\s\S]*?<\/\1>/g;
+const TMX_TAG_REGEX = /<[^>]+>/g;
+
+/**
+ * 翻译记忆库
+ */
+class TranslationMemory {
+  // 同时保留在内存中的语言对数量，超出时释放最久未使用的语言对，再次访问时从文件重新加载
+  static #MAX_STORES = 4;
+  /**
+   * 已加载的语言对记忆库，按最近使用的顺序排列，值为加载中的 Promise，避免并发重复读取文件
+   * entries 按写入顺序排列，lines 为文件中的记录行数（包括已被覆盖或淘汰的旧记录）
+   * @type {Map<string, Promise<{entries: Map<string, {source: string, target: string, html: boolean}>, lines: number}>>}
+   */
+  static #stores = new Map();
+  /**
+   * 每个语言对的写入队列，保证追加写入按顺序进行
+   * @type {Map<string, Promise<void>>}
+   */
+  static #writeQueues = new Map();
+
+  // 获取语言对的记忆库文件路径
+  static getFilePath(fromLang, toLang) {
+    return path.join(
+      TM_DIR,
+      `${normalizeLang(fromLang)}_${normalizeLang(toLang)}.jsonl`
+    );
+  }
+
+  // 加载语言对的记忆库到内存，文件不存在时返回空记忆库
+  static #load(fromLang, toLang) {
+    const filePath = this.getFilePath(fromLang, toLang);
+    let store = this.#stores.get(filePath);
+    if (store) {
+      // 移动到最近使用的位置
+      this.#stores.delete(filePath);
+      this.#stores.set(filePath, store);
+      return store;
+    }
+
+    store = (async () => {
+      // 等待尚未完成的写入，避免重新加载时漏掉刚写入的记录
+      await this.#writeQueues.get(filePath)?.catch(() => {});
+
+      const entries = new Map();
+      let content;
+      try {
+        content = await fs.readFile(filePath, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return { entries, lines: 0 };
+        }
+        throw error;
+      }
+
+      let lines = 0;
+      for (const line of content.split("\n")) {
+        if (!line.trim()) continue;
+        lines++;
+        try {
+          const { source, target, html = false } = JSON.parse(line);
+          if (typeof source === "string" && typeof target === "string") {
+            const key = getEntryKey(source, html);
+            entries.delete(key);
+            entries.set(key, { source, target, html });
+          }
+        } catch {
+          // 跳过写入中断产生的残缺行
+          log(`Skipping malformed line in ${filePath}`);
+        }
+      }
+      trimEntries(entries);
+      log(`Loaded ${entries.size} entries from ${filePath}`);
+      return { entries, lines };
+    })();
+
+    // 加载失败时不缓存，下次访问重新尝试
+    store.catch(() => this.#stores.delete(filePath));
+    this.#stores.set(filePath, store);
+    while (this.#stores.size > this.#MAX_STORES) {
+      this.#stores.delete(this.#stores.keys().next().value);
+    }
+    return store;
+  }
+
+  // 对记忆库文件执行写入操作，同一文件的写入串行执行
+  static #write(filePath, operation) {
+    const previous = this.#writeQueues.get(filePath) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await operation();
+      });
+    this.#writeQueues.set(filePath, next);
+    return next;
+  }
+
+  // 把一行或多行追加到记忆库文件
+  static #append(filePath, lines) {
+    return this.#write(filePath, () => fs.appendFile(filePath, lines, "utf8"));
+  }
+
+  // 用内存中的条目重写记忆库文件，去掉已被覆盖或淘汰的旧记录
+  static #compact(filePath, store) {
+    const content = Array.from(store.entries.values())
+      .map((entry) => serializeEntry(entry) + "\n")
+      .join("");
+    store.lines = store.entries.size;
+    log(`Compacting ${filePath} to ${store.lines} entries`);
+    return this.#write(filePath, async () => {
+      // 先写临时文件再替换，避免写入中断时丢失整个记忆库
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, content, "utf8");
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  /**
+   * 批量查找译文
+   * @param {string} fromLang 源语言
+   * @param {string} toLang 目标语言
+   * @param {string[]} texts 原文数组
+   * @param {boolean} [isHTML] 是否为 HTML
+   * @returns {Promise<Array<string|undefined>>} 与原文一一对应，未命中为 undefined
+   */
+  static async lookup(fromLang, toLang, texts, isHTML = false) {
+    const { entries } = await this.#load(fromLang, toLang);
+    return texts.map((text) => entries.get(getEntryKey(text, isHTML))?.target);
+  }
+
+  /**
+   * 写入译文，已存在的原文会被覆盖，超出 Config.TM_MAX_ENTRIES 时淘汰最早写入的条目
+   * 翻译引擎失败时的占位译文不会写入，避免一次失败在重启后仍然生效
+   * @param {string} fromLang 源语言
+   * @param {string} toLang 目标语言
+   * @param {Array<{source: string, target: string}>} pairs 原文和译文
+   * @param {boolean} [isHTML] 是否为 HTML
+   * @returns {Promise<number>} 实际写入（新增或变化）的条目数
+   */
+  static async store(fromLang, toLang, pairs, isHTML = false) {
+    const store = await this.#load(fromLang, toLang);
+    const { entries } = store;
+
+    let lines = "";
+    let count = 0;
+    for (const { source, target } of pairs) {
+      if (target === TRANSLATION_ERROR_TEXT) continue;
+      const key = getEntryKey(source, isHTML);
+      if (entries.get(key)?.target === target) continue;
+
+      const entry = { source, target, html: !!isHTML };
+      entries.delete(key);
+      entries.set(key, entry);
+      lines += serializeEntry(entry) + "\n";
+      count++;
+    }
+
+    if (count > 0) {
+      const filePath = this.getFilePath(fromLang, toLang);
+      store.lines += count;
+      trimEntries(entries);
+      // 文件中的记录超过上限的两倍时重写文件，否则只追加新记录
+      if (
+        Config.TM_MAX_ENTRIES > 0 &&
+        store.lines > Config.TM_MAX_ENTRIES * 2
+      ) {
+        await this.#compact(filePath, store);
+      } else {
+        await this.#append(filePath, lines);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * 获取语言对的全部条目
+   * @param {string} fromLang 源语言
+   * @param {string} toLang 目标语言
+   * @returns {Promise<Array<{source: string, target: string, html: boolean}>>}
+   */
+  static async entries(fromLang, toLang) {
+    return Array.from((await this.#load(fromLang, toLang)).entries.values());
+  }
+
+  /**
+   * 列出磁盘上已有记忆库的语言对
+   * @returns {Promise<Array<{from: string, to: string, entries: number}>>}
+   */
+  static async listPairs() {
+    let files;
+    try {
+      files = await fs.readdir(TM_DIR);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const pairs = [];
+    for (const file of files.filter((name) => name.endsWith(".jsonl"))) {
+      const [from, to] = path.basename(file, ".jsonl").split("_");
+      if (!from || !to) continue;
+      const { entries } = await this.#load(from, to);
+      pairs.push({ from, to, entries: entries.size });
+    }
+    return pairs;
+  }
+
+  /**
+   * 删除语言对的记忆库
+   * @param {string} fromLang 源语言
+   * @param {string} toLang 目标语言
+   */
+  static async clear(fromLang, toLang) {
+    const filePath = this.getFilePath(fromLang, toLang);
+    await this.#writeQueues.get(filePath)?.catch(() => {});
+    this.#stores.delete(filePath);
+    this.#writeQueues.delete(filePath);
+    await fs.rm(filePath, { force: true });
+  }
+
+  /**
+   * 从 TMX 或 JSONL 文件导入，格式由扩展名决定
+   * JSONL 每行为 {source, target, html?}，必须指定语言对；
+   * TMX 未指定语言对时，以 header 的 srclang 为源语言，导入到 tu 中出现的每种其他语言
+   * @param {string} filePath 文件路径
+   * @param {{from?: string, to?: string}} [options] 语言对
+   * @returns {Promise<number>} 写入的条目数
+   */
+  static async importFile(filePath, options = {}) {
+    const content = await fs.readFile(filePath, "utf8");
+    const { from, to } = options;
+
+    if (path.extname(filePath).toLowerCase() === ".tmx") {
+      // 按语言对分组后写入
+      const groups = new Map();
+      for (const {
+        from: srcLang,
+        to: tgtLang,
+        source,
+        target,
+      } of this.parseTMX(content, options)) {
+        const key = `${srcLang}_${tgtLang}`;
+        if (!groups.has(key)) {
+          groups.set(key, { srcLang, tgtLang, pairs: [] });
+        }
+        groups.get(key).pairs.push({ source, target });
+      }
+
+      let count = 0;
+      for (const { srcLang, tgtLang, pairs } of groups.values()) {
+        count += await this.store(srcLang, tgtLang, pairs);
+      }
+      return count;
+    }
+
+    if (!from || !to) {
+      throw new Error("Source and target languages are required for JSONL");
+    }
+
+    const textPairs = [];
+    const htmlPairs = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      const { source, target, html = false } = JSON.parse(line);
+      if (typeof source !== "string" || typeof target !== "string") {
+        throw new Error(`Invalid JSONL entry: ${line}`);
+      }
+      (html ? htmlPairs : textPairs).push({ source, target });
+    }
+    return (
+      (await this.store(from, to, textPairs, false)) +
+      (await this.store(from, to, htmlPairs, true))
+    );
+  }
+
+  /**
+   * 导出为 TMX 或 JSONL 文件，格式由扩展名决定
+   * @param {string} filePath 文件路径
+   * @param {{from: string, to: string}} options 语言对
+   * @returns {Promise<number>} 导出的条目数
+   */
+  static async exportFile(filePath, options) {
+    const { from, to } = options;
+    const entries = await this.entries(from, to);
+
+    let content;
+    if (path.extname(filePath).toLowerCase() === ".tmx") {
+      // TMX 只能表达纯文本片段，HTML 条目不导出
+      const pairs = entries.filter(({ html }) => !html);
+      content = this.toTMX(pairs, from, to);
+      await fs.writeFile(filePath, content, "utf8");
+      return pairs.length;
+    }
+
+    content = entries.map(serializeEntry).join("\n");
+    await fs.writeFile(filePath, content ? content + "\n" : "", "utf8");
+    return entries.length;
+  }
+
+  /**
+   * 生成 TMX 1.4 文档
+   * @param {Array<{source: string, target: string}>} pairs 原文和译文
+   * @param {string} srcLang 源语言
+   * @param {string} tgtLang 目标语言
+   * @returns {string}
+   */
+  static toTMX(pairs, srcLang, tgtLang) {
+    const units = pairs.map(
+      ({ source, target }) =>
+        `    <tu>\n` +
+        `      <tuv xml:lang="${escapeXml(srcLang)}"><seg>${escapeXml(source)}</seg></tuv>\n` +
+        `      <tuv xml:lang="${escapeXml(tgtLang)}"><seg>${escapeXml(target)}</seg></tuv>\n` +
+        `    </tu>\n`
+    );
+
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<tmx version="1.4">\n` +
+      `  <header creationtool="MTranCore" creationtoolversion="${VERSION}" datatype="plaintext" segtype="sentence" adminlang="en" srclang="${escapeXml(srcLang)}" o-tmf="MTranCore"/>\n` +
+      `  <body>\n` +
+      units.join("") +
+      `  </body>\n` +
+      `</tmx>\n`
+    );
+  }
+
+  /**
+   * 解析 TMX 文档
+   * @param {string} xml TMX 内容
+   * @param {{from?: string, to?: string}} [options] 只提取指定语言对，未指定时使用 header 的 srclang
+   * @returns {Array<{from: string, to: string, source: string, target: string}>}
+   */
+  static parseTMX(xml, options = {}) {
+    const header = /<header\b[^>]*\bsrclang="([^"]*)"/i.exec(xml);
+    const srcLang = options.from || header?.[1];
+    if (!srcLang || srcLang === "*all*") {
+      throw new Error("Source language is required for this TMX file");
+    }
+
+    const sameLang = (a, b) =>
+      normalizeLang(a).toLowerCase() === normalizeLang(b).toLowerCase();
+
+    const results = [];
+    for (const [, tu] of xml.matchAll(/<tu\b[^>]*>([\s\S]*?)<\/tu>/g)) {
+      // 收集每种语言的片段文本
+      const segments = [];
+      for (const [, attrs, body] of tu.matchAll(
+        /<tuv\b([^>]*)>([\s\S]*?)<\/tuv>/g
+      )) {
+        const lang = /\b(?:xml:)?lang="([^"]*)"/i.exec(attrs)?.[1];
+        const seg = /<seg\b[^>]*>([\s\S]*?)<\/seg>/.exec(body)?.[1];
+        if (!lang || seg === undefined) continue;
+        const text = unescapeXml(
+          seg.replace(TMX_INLINE_CODE_REGEX, "").replace(TMX_TAG_REGEX, "")
+        );
+        segments.push({ lang, text });
+      }
+
+      const source = segments.find(({ lang }) => sameLang(lang, srcLang));
+      if (!source || !source.text) continue;
+
+      for (const { lang, text } of segments) {
+        if (sameLang(lang, source.lang) || !text) continue;
+        if (options.to && !sameLang(lang, options.to)) continue;
+        results.push({
+          from: normalizeLang(options.from || source.lang),
+          to: normalizeLang(options.to || lang),
+          source: source.text,
+          target: text,
+        });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = TranslationMemory;
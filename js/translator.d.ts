@@ -22,6 +22,43 @@
  *   console.log('批量翻译结果:', results);
  * }
  * 
+ * // 使用选项对象，支持取消和超时
+ * async function translateWithOptions() {
+ *   const result = await Translator.Translate('Hello world', {
+ *     from: 'en',
+ *     to: 'zh-Hans',
+ *     timeoutMs: 5000,
+ *     priority: 'interactive',
+ *   });
+ *   console.log('翻译结果:', result);
+ * }
+ *
+ * // 获取句子映射，用于高亮原文与译文的对应部分
+ * async function translateDetailed() {
+ *   const result = await Translator.Translate('Hello world. How are you?', {
+ *     from: 'en',
+ *     to: 'zh-Hans',
+ *     detailed: true,
+ *   });
+ *   for (const [i, range] of result.targetSentences.entries()) {
+ *     const source = result.sourceSentences[i];
+ *     console.log(
+ *       result.sourceText.slice(source.start, source.end),
+ *       '->',
+ *       result.text.slice(range.start, range.end)
+ *     );
+ *   }
+ * }
+ *
+ * // 流式翻译长文档，按顺序得到译文块和进度
+ * async function translateLongDocument(text) {
+ *   const stream = Translator.TranslateStream(text, 'en', 'zh-Hans');
+ *   stream.on('progress', ({ done, total }) => console.log(`${done}/${total}`));
+ *   for await (const chunk of stream) {
+ *     process.stdout.write(chunk);
+ *   }
+ * }
+ *
  * // 自动检测语言
  * async function autoDetectAndTranslate() {
  *   const result = await Translator.Translate('こんにちは', 'auto', 'zh-Hans');
@@ -36,6 +73,317 @@
  * ```
  */
 declare module "./translator" {
+    import { Readable } from "stream";
+
+    /**
+     * 请求优先级，从高到低
+     * - interactive: 用户正在等待的请求，优先处理
+     * - normal: 默认优先级
+     * - background: 批量任务，只在没有更高优先级的请求时处理，等待超过 2 秒后不再让位
+     */
+    type TranslatePriority = "interactive" | "normal" | "background";
+
+    /**
+     * 文本格式
+     * - text: 纯文本
+     * - html: HTML，等同于 html: true
+     * - markdown: Markdown 文档，只翻译正文，代码、链接地址、引用定义、front matter 的键和表格结构原样保留
+     */
+    type TextFormat = "text" | "html" | "markdown";
+
+    /**
+     * fromLang 为 "auto" 时的语言检测方式
+     * - first: 全部文本使用第一个文本检测出来的语言
+     * - each: 逐个检测每个文本的语言，按语言分组翻译，没有对应模型的语言的文本原样返回；每个结果为带有源语言的 DetectedTranslation
+     * - segments: 检测每个文本中不同语言的片段，只翻译不是目标语言的片段，目标语言的片段原样保留，只支持纯文本结果
+     */
+    type DetectMode = "first" | "each" | "segments";
+
+    /**
+     * 语言检测选项
+     */
+    interface DetectOptions {
+        /** 返回详细的检测结果，默认为false */
+        detailed?: boolean;
+        /** 详细结果中的候选语言数，默认为1 */
+        topK?: number;
+        /** 检测使用的文本开头字符数，默认取决于 MTRAN_DETECT_LENGTH 环境变量 */
+        maxLength?: number;
+        /** 主要语言的概率低于此值时结果不可信，默认为0 */
+        minConfidence?: number;
+        /** 结果不可信时使用的语言，默认为"en" */
+        fallback?: string;
+        /** 结果不可信时的处理方式，fallback 返回 fallback 语言，throw 抛出 LanguageDetectionError，默认为"fallback" */
+        onLowConfidence?: "fallback" | "throw";
+    }
+
+    /**
+     * 候选语言
+     */
+    interface LanguageCandidate {
+        /** 语言代码 */
+        language: string;
+        /** 概率，0 到 1 */
+        probability: number;
+    }
+
+    /**
+     * 详细的语言检测结果
+     */
+    interface DetectionResult {
+        /** 检测到的语言代码，结果不可信时为 fallback 语言 */
+        language: string;
+        /** 主要语言的概率，使用 fallback 语言时为0 */
+        probability: number;
+        /** 主要语言的概率是否不低于 0.5 */
+        reliable: boolean;
+        /** 按概率从高到低排列的候选语言 */
+        candidates: LanguageCandidate[];
+    }
+
+    /**
+     * 翻译选项
+     */
+    interface TranslateOptions {
+        /** 源语言代码，使用"auto"表示自动检测，默认为"auto" */
+        from?: string;
+        /** 目标语言代码 */
+        to: string;
+        /** 是否为HTML文本，默认为false */
+        html?: boolean;
+        /** 文本格式，默认根据 html 决定；markdown 不支持 detailed */
+        format?: TextFormat;
+        /** 取消翻译，被取消时以 AbortError 拒绝 */
+        signal?: AbortSignal;
+        /** 超时时间（毫秒），超时后以 TimeoutError 拒绝，0 表示不超时，默认为 MTRAN_REQUEST_TIMEOUT */
+        timeoutMs?: number;
+        /** 请求优先级，默认为"normal" */
+        priority?: TranslatePriority;
+        /** 自动检测语言的方式，默认为"first" */
+        detect?: DetectMode;
+        /** 自动检测语言的选项，detailed 不适用 */
+        detectOptions?: Omit<DetectOptions, "detailed">;
+        /** 返回包含句子映射的详细结果，翻译引擎支持时附带词对齐，默认为false */
+        detailed?: boolean;
+        /** 在详细结果中附带质量评估分数，设置后总是返回详细结果，默认为false */
+        quality?: boolean;
+        /** 是否使用持久化翻译记忆库，默认取决于 MTRAN_TM 环境变量 */
+        tm?: boolean;
+        /** 本次调用的术语表（原文术语 → 目标术语），与全局术语表合并，冲突时本次调用优先 */
+        glossary?: GlossaryEntries;
+        /** 是否保护网址、电子邮件地址、行内代码、{变量}、ICU 参数和 printf 格式符不被翻译，默认为true */
+        protect?: boolean;
+        /** 自定义不翻译的内容，字符串按正则处理；不受 protect 影响 */
+        protectPatterns?: Array<RegExp | string>;
+        /** 译文丢失了术语或受保护的片段时调用，missing 为丢失的原文片段，sourceText 为对应的原文 */
+        onMissingPlaceholders?: (missing: string[], sourceText: string) => void;
+    }
+
+    /**
+     * 术语表条目：Glossary 实例、[原文术语, 目标术语] 列表、{source, target} 列表或普通对象
+     */
+    type GlossaryEntries =
+        | Glossary
+        | Iterable<[string, string]>
+        | Array<{ source: string; target: string }>
+        | Record<string, string>;
+
+    /**
+     * 术语表
+     */
+    class Glossary {
+        constructor(entries?: GlossaryEntries);
+        /** 从 CSV 内容创建，表头包含语言代码时按列名取值，否则使用前两列 */
+        static fromCSV(content: string, options?: { from?: string; to?: string }): Glossary;
+        /** 从 TBX 内容创建 */
+        static fromTBX(xml: string, options: { from: string; to: string }): Glossary;
+        /** 从 .csv 或 .tbx 文件加载 */
+        static load(filePath: string, options?: { from?: string; to?: string }): Promise<Glossary>;
+        /** 术语条目数 */
+        readonly size: number;
+        /** 添加或覆盖术语 */
+        set(source: string, target: string): void;
+        /** 获取全部术语 */
+        entries(): Array<[string, string]>;
+    }
+
+    /**
+     * 文本区间，使用 JS 字符串下标，左闭右开
+     */
+    interface TextRange {
+        start: number;
+        end: number;
+    }
+
+    /**
+     * 原文词与译文词之间的软对齐
+     */
+    interface WordAlignment {
+        /** 所在句子的序号，对应 sourceSentences / targetSentences 的下标 */
+        sentence: number;
+        /** 原文词在 sourceText 中的区间 */
+        source: TextRange;
+        /** 译文词在 text 中的区间 */
+        target: TextRange;
+        /** 对齐概率 */
+        score: number;
+    }
+
+    /**
+     * 单个译文句子的质量评估分数
+     * 分数为对数概率，越接近 0 表示模型对译文越有把握
+     */
+    interface SentenceQuality {
+        /** 整句分数 */
+        score: number;
+        /** 译文中每个词的区间（相对于 text）及其分数 */
+        words: Array<TextRange & { score: number }>;
+    }
+
+    /**
+     * detect 为 "each" 时的翻译结果
+     */
+    interface DetectedTranslation {
+        /** 译文 */
+        text: string;
+        /** 为该文本检测出来的源语言代码 */
+        from: string;
+    }
+
+    /**
+     * detailed 模式下的翻译结果
+     */
+    interface TranslationResult {
+        /** 译文 */
+        text: string;
+        /** 区间所对应的原文，通常与输入相同；经过文本清理或简繁转换且长度改变时为引擎实际看到的文本 */
+        sourceText: string;
+        /** 原文中每个句子的区间 */
+        sourceSentences: TextRange[];
+        /** 译文中每个句子的区间，与 sourceSentences 一一对应 */
+        targetSentences: TextRange[];
+        /**
+         * 词级软对齐，每个原文词与译文词的对应关系及其概率
+         * 只有导出了 getAlignments 绑定的 Bergamot 构建才能提供，项目自带的构建没有导出，因此目前总是为 null；
+         * 文本未经过翻译引擎时同样为 null
+         */
+        alignments: WordAlignment[] | null;
+        /** 质量评估分数，与 targetSentences 一一对应；未请求、语言对没有质量评估模型或翻译引擎不支持质量评估时为 null */
+        qualityScores: SentenceQuality[] | null;
+        /** 使用术语表或保护规则时，译文中丢失而未能还原的原文片段 */
+        missingPlaceholders?: string[];
+        /** 实际使用的源语言代码，自动检测时为检测出来的语言 */
+        from: string;
+    }
+
+    /**
+     * 国际化资源文件格式，android 为 strings.xml，strings 为 iOS .strings
+     */
+    type ResourceFormat = "json" | "arb" | "yaml" | "properties" | "po" | "android" | "strings";
+
+    /**
+     * 资源文件翻译选项
+     */
+    interface ResourceTranslateOptions extends Omit<TranslateOptions, "from" | "to" | "html" | "format"> {
+        /** 资源文件格式 */
+        resourceFormat: ResourceFormat;
+        /** 已有的目标文件内容，其中已有译文的条目不再翻译 */
+        existing?: string;
+        /** 忽略已有译文，全部重新翻译，默认为false */
+        force?: boolean;
+    }
+
+    /**
+     * 资源文件翻译结果
+     */
+    interface ResourceTranslationResult {
+        /** 翻译后的文件内容 */
+        content: string;
+        /** 本次翻译的条目数 */
+        translated: number;
+        /** 沿用已有译文的条目数 */
+        reused: number;
+    }
+
+    /**
+     * 原文和译文对
+     */
+    interface TranslationPair {
+        /** 原文 */
+        source: string;
+        /** 译文 */
+        target: string;
+    }
+
+    /**
+     * XLIFF 翻译结果
+     */
+    interface XliffTranslationResult {
+        /** 翻译后的 XLIFF 内容 */
+        content: string;
+        /** 本次翻译的单元数 */
+        translated: number;
+        /** 实际使用的源语言代码 */
+        from: string;
+        /** 实际使用的目标语言代码 */
+        to: string;
+        /** 本次翻译的纯文本原文和译文，可用 ToTMX 导出 */
+        pairs: TranslationPair[];
+    }
+
+    /**
+     * 流式翻译选项
+     */
+    interface StreamTranslateOptions extends Omit<TranslateOptions, "from" | "to" | "html" | "format" | "detailed" | "quality"> {
+        /** 每个文本块的最大字符数，默认取决于 MTRAN_STREAM_CHUNK_SIZE 环境变量 */
+        chunkSize?: number;
+    }
+
+    /**
+     * 流式翻译的进度
+     */
+    interface StreamProgress {
+        /** 已完成的块数 */
+        done: number;
+        /** 总块数 */
+        total: number;
+        /** 已完成的原文字符数 */
+        chars: number;
+        /** 需要翻译的原文总字符数 */
+        totalChars: number;
+        /** 已用时间（毫秒） */
+        elapsedMs: number;
+        /** 平均每秒翻译的原文字符数 */
+        charsPerSecond: number;
+    }
+
+    /**
+     * 流式翻译的可读流，按原文顺序输出译文字符串，每个块完成后触发 progress 事件
+     */
+    interface TranslationStream extends Readable {
+        on(event: "progress", listener: (progress: StreamProgress) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        [Symbol.asyncIterator](): AsyncIterableIterator<string>;
+    }
+
+    /**
+     * 翻译结果缓存的统计信息
+     */
+    interface CacheStats {
+        /** 当前条目数 */
+        entries: number;
+        /** 当前估算占用的字节数 */
+        bytes: number;
+        /** 最大条目数，0 表示缓存已禁用 */
+        maxEntries: number;
+        /** 最大字节数，0 表示不限制 */
+        maxBytes: number;
+        /** 命中次数 */
+        hits: number;
+        /** 未命中次数 */
+        misses: number;
+    }
+
     /**
      * 翻译引擎管理器
      */
@@ -56,7 +404,16 @@ declare module "./translator" {
             fromLang: string,
             toLang: string
         ): Promise<{
-            translate: (texts: string | string[], isHTML?: boolean) => Promise<string | string[]>;
+            translate: (
+                texts: string | string[],
+                isHTML?: boolean,
+                options?: {
+                    signal?: AbortSignal;
+                    priority?: TranslatePriority;
+                    detailed?: boolean;
+                    quality?: boolean;
+                }
+            ) => Promise<string | string[] | TranslationResult | TranslationResult[]>;
             discardTranslations: () => void;
         }>;
 
@@ -66,26 +423,204 @@ declare module "./translator" {
         static Shutdown(): Promise<void>;
 
         /**
-         * 检测文本语言
+         * 清空翻译结果缓存，统计计数保留
+         */
+        static ClearCache(): void;
+
+        /**
+         * 获取翻译结果缓存的统计信息
+         * @returns 缓存统计信息
+         */
+        static GetCacheStats(): CacheStats;
+
+        /**
+         * 设置语言对的worker数量范围，负载高时在范围内自动扩容，空闲时缩回最小值；传入 null 时恢复为 MTRAN_WORKERS 和 MTRAN_MAX_WORKERS
+         * @param fromLang 源语言代码
+         * @param toLang 目标语言代码
+         * @param limits min 为最少的worker数量，max 为自动扩容的上限
+         */
+        static SetWorkerLimits(fromLang: string, toLang: string, limits: { min?: number; max?: number } | null): void;
+
+        /**
+         * 设置语言对的全局术语表，传入 null 时删除；同时清空翻译结果缓存
+         * @param fromLang 源语言代码
+         * @param toLang 目标语言代码
+         * @param glossary 术语表
+         */
+        static SetGlossary(fromLang: string, toLang: string, glossary: GlossaryEntries | null): void;
+
+        /**
+         * 获取语言对的全局术语表
+         * @param fromLang 源语言代码
+         * @param toLang 目标语言代码
+         * @returns 术语表，未设置时为 null
+         */
+        static GetGlossary(fromLang: string, toLang: string): Glossary | null;
+
+        /**
+         * 从 CSV 或 TBX 文件加载语言对的全局术语表
+         * @param filePath 文件路径
+         * @param fromLang 源语言代码
+         * @param toLang 目标语言代码
+         * @returns 加载的术语数
+         */
+        static LoadGlossary(filePath: string, fromLang: string, toLang: string): Promise<number>;
+
+        /**
+         * 检测文本语言，只考虑有翻译模型的语言
          * @param text 要检测的文本
+         * @param options 检测选项
          * @returns 检测到的语言代码
          */
-        static DetectLang(text: string): Promise<string>;
+        static DetectLang(text: string, options?: DetectOptions & { detailed?: false }): Promise<string>;
+
+        /**
+         * 检测文本语言，返回概率和候选语言
+         * @param text 要检测的文本
+         * @param options 检测选项
+         * @returns 详细的检测结果
+         */
+        static DetectLang(text: string, options: DetectOptions & { detailed: true }): Promise<DetectionResult>;
 
         /**
          * 翻译文本
          * @param text 要翻译的文本或文本数组
          * @param fromLang 源语言代码，使用"auto"表示自动检测
          * @param toLang 目标语言代码
-         * @param isHTML 是否为HTML文本，默认为false
-         * @returns 翻译后的文本或文本数组
+         * @param isHTML 是否为HTML文本，默认为false；也可以传入除 from、to 以外的翻译选项
+         * @returns 翻译后的文本或文本数组，detailed 为 true 时为详细结果，自动检测且 detect 为 "each" 时为带有源语言的结果
+         */
+        static Translate(
+            text: string | string[],
+            fromLang: string,
+            toLang: string,
+            isHTML?: boolean | Omit<TranslateOptions, "from" | "to">
+        ): Promise<string | string[] | TranslationResult | TranslationResult[] | DetectedTranslation | DetectedTranslation[]>;
+
+        /**
+         * 翻译文本
+         * @param text 要翻译的文本或文本数组
+         * @param options 翻译选项
+         * @returns 翻译后的文本或文本数组，detailed 为 true 时为详细结果，自动检测且 detect 为 "each" 时为带有源语言的结果
          */
         static Translate(
             text: string | string[],
+            options: TranslateOptions
+        ): Promise<string | string[] | TranslationResult | TranslationResult[] | DetectedTranslation | DetectedTranslation[]>;
+
+        /**
+         * 流式翻译长文档：按段落和句子切分为块，按原文顺序输出译文，段落之间的空行原样保留
+         * 流被销毁或 signal 被取消时，尚未完成的块会从队列中移除
+         * @param text 纯文本
+         * @param fromLang 源语言代码，使用"auto"表示根据文档开头自动检测
+         * @param toLang 目标语言代码
+         * @param options 流式翻译选项
+         * @returns 输出译文块的可读流
+         */
+        static TranslateStream(
+            text: string,
+            fromLang: string,
+            toLang: string,
+            options?: StreamTranslateOptions
+        ): TranslationStream;
+
+        /**
+         * 流式翻译长文档
+         * @param text 纯文本
+         * @param options 流式翻译选项
+         * @returns 输出译文块的可读流
+         */
+        static TranslateStream(
+            text: string,
+            options: StreamTranslateOptions & { from?: string; to: string }
+        ): TranslationStream;
+
+        /**
+         * 翻译 SRT 或 WebVTT 字幕文件内容，只翻译字幕文本，序号、时间轴、字幕设置和样式标签原样保留
+         * @param content 字幕文件内容，以 WEBVTT 开头时按 WebVTT 解析，否则按 SRT 解析
+         * @param fromLang 源语言代码，使用"auto"表示根据全部字幕文本自动检测
+         * @param toLang 目标语言代码
+         * @param options 除 from、to、html、format 以外的翻译选项，不支持 detailed
+         * @returns 翻译后的字幕文件内容
+         */
+        static TranslateSubtitles(
+            content: string,
+            fromLang: string,
+            toLang: string,
+            options?: Omit<TranslateOptions, "from" | "to" | "html" | "format">
+        ): Promise<string>;
+
+        /**
+         * 翻译 SRT 或 WebVTT 字幕文件内容
+         * @param content 字幕文件内容
+         * @param options 翻译选项，html、format 和 detailed 不适用
+         * @returns 翻译后的字幕文件内容
+         */
+        static TranslateSubtitles(
+            content: string,
+            options: TranslateOptions
+        ): Promise<string>;
+
+        /**
+         * 翻译国际化资源文件内容，只翻译值，键、注释和顺序保持不变，并保护该格式的插值语法
+         * @param content 文件内容
+         * @param fromLang 源语言代码，使用"auto"表示根据全部待翻译的值自动检测
+         * @param toLang 目标语言代码
+         * @param options 资源文件翻译选项
+         * @returns 翻译后的文件内容和条目统计
+         */
+        static TranslateResource(
+            content: string,
             fromLang: string,
             toLang: string,
-            isHTML?: boolean
-        ): Promise<string | string[]>;
+            options: ResourceTranslateOptions
+        ): Promise<ResourceTranslationResult>;
+
+        /**
+         * 翻译国际化资源文件内容
+         * @param content 文件内容
+         * @param options 翻译选项
+         * @returns 翻译后的文件内容和条目统计
+         */
+        static TranslateResource(
+            content: string,
+            options: ResourceTranslateOptions & { from?: string; to: string }
+        ): Promise<ResourceTranslationResult>;
+
+        /**
+         * 预翻译 XLIFF 1.2 或 2.0 文件中没有译文的单元，译文标记为机器翻译，行内标记随译文保留
+         * @param content XLIFF 文件内容
+         * @param fromLang 源语言代码，未指定或使用"auto"时优先使用文件声明的源语言
+         * @param toLang 目标语言代码，未指定时使用文件声明的目标语言
+         * @param options 除 from、to、html、format 以外的翻译选项，不支持 detailed
+         * @returns 翻译后的 XLIFF 内容和本次翻译的原文译文对
+         */
+        static TranslateXliff(
+            content: string,
+            fromLang?: string,
+            toLang?: string,
+            options?: Omit<TranslateOptions, "from" | "to" | "html" | "format">
+        ): Promise<XliffTranslationResult>;
+
+        /**
+         * 预翻译 XLIFF 文件
+         * @param content XLIFF 文件内容
+         * @param options 翻译选项，html、format 和 detailed 不适用
+         * @returns 翻译后的 XLIFF 内容和本次翻译的原文译文对
+         */
+        static TranslateXliff(
+            content: string,
+            options: Partial<TranslateOptions>
+        ): Promise<XliffTranslationResult>;
+
+        /**
+         * 将原文和译文对生成为 TMX 1.4 文档
+         * @param pairs 原文和译文对
+         * @param fromLang 源语言代码
+         * @param toLang 目标语言代码
+         * @returns TMX 内容
+         */
+        static ToTMX(pairs: TranslationPair[], fromLang: string, toLang: string): string;
     }
 
     export = Translator;
@@ -1,12 +1,30 @@
 // 正常导入
 const path = require("path");
 const { Worker } = require("worker_threads");
+const { Readable } = require("stream");
 const Lang = require("./lang");
 const Models = require("./models");
 const OpenCC = require("./opencc");
 const LanguageDetector = require("./ld");
 const { MESSAGE_TYPES } = require("./message");
 const Config = require("./config");
+const LRUCache = require("./cache");
+const TranslationMemory = require("./tm");
+const Glossary = require("./glossary");
+const PlaceholderMask = require("./placeholder");
+const MarkdownDocument = require("./markdown");
+const SubtitleDocument = require("./subtitles");
+const ResourceFile = require("./i18n");
+const XliffDocument = require("./xliff");
+const {
+  gc,
+  throwIfAborted,
+  withTimeout,
+  getAbortError,
+  LanguageDetectionError,
+  EngineUnavailableError,
+  TRANSLATION_ERROR_TEXT,
+} = require("./utils");
 
 const ENGINE_CACHE_ENABLE = Config.AUTO_RELEASE;
 // 引擎缓存超时时间（分钟）
@@ -17,21 +35,380 @@ const ENGINE_CACHE_TIMEOUT_MS =
     ? Math.round(ENGINE_CACHE_TIMEOUT_MINUTES * 60 * 1000)
     : Infinity;
 
-// 每个语言对的worker数量
+// 每个语言对的worker数量范围，负载高时在此范围内自动扩容，空闲时缩回最小值
 const WORKERS_PER_LANGUAGE_PAIR = Config.WORKERS;
+const MAX_WORKERS_PER_LANGUAGE_PAIR = Math.max(
+  Config.WORKERS,
+  Config.MAX_WORKERS
+);
+// 引擎数量和估算内存的上限，0 表示不限制，超出时逐出最近最少使用的引擎
+const MAX_ENGINES = Config.MAX_ENGINES;
+const MAX_MEMORY_BYTES = Math.round(Config.MAX_MEMORY_MB * 1024 * 1024);
+// 每个worker的 WASM 实例初始内存，与 engine.js 中的 INITIAL_MEMORY 一致
+const WORKER_WASM_MEMORY_BYTES = 234_291_200;
+
+// 启用自动伸缩时的检查间隔
+const AUTOSCALE_INTERVAL_MS = 2000;
+// 平均每个worker未完成的请求数达到此值时扩容
+const AUTOSCALE_QUEUE_DEPTH = 2;
+// 有未完成的请求且请求的平均耗时达到此值时扩容
+const AUTOSCALE_LATENCY_MS = 1000;
+// 持续有空闲worker超过此时间后缩容一个worker
+const AUTOSCALE_IDLE_MS = 30000;
 
 const workerPath = path.join(__dirname, "worker.js");
 
+// 统计worker崩溃次数的时间窗口，窗口内崩溃达到 Config.WORKER_MAX_CRASHES 次时熔断
+const WORKER_CRASH_WINDOW_MS = 60000;
+// 熔断持续时间
+const WORKER_COOLDOWN_MS = Math.round(Config.WORKER_COOLDOWN * 1000);
+// 重启worker的退避延迟，第一次崩溃立即重启，之后每次翻倍，不超过最大值
+const WORKER_RESPAWN_BASE_DELAY_MS = 1000;
+const WORKER_RESPAWN_MAX_DELAY_MS = 30000;
+// worker无响应超过此时间视为卡住，0 表示不检测
+const WORKER_HANG_TIMEOUT_MS = Math.round(Config.WORKER_HANG_TIMEOUT * 1000);
+// 正在翻译的批次每个字符额外允许的时间，长批次不会因为翻译耗时长而被误判为卡住
+const WORKER_HANG_MS_PER_CHAR = 10;
+// 健康检查间隔，保证卡住的worker在超时后很快被发现
+const WORKER_HEALTH_CHECK_INTERVAL_MS = Math.min(
+  10000,
+  Math.max(100, Math.round(WORKER_HANG_TIMEOUT_MS / 4))
+);
+// worker崩溃时正在处理的请求最多重新发送的次数，避免导致崩溃的输入反复拖垮新worker
+const WORKER_CRASH_RETRIES = 1;
+
+// 达到此字符数的批次交给专用的worker，避免短文本排在长文本后面，0 表示不区分
+const LONG_TEXT_CHARS = Config.LONG_TEXT_CHARS;
+
+// 请求优先级，从高到低
+const PRIORITIES = ["interactive", "normal", "background"];
+// 文本格式，markdown 只翻译正文，代码和链接地址等原样保留
+const FORMATS = ["text", "html", "markdown"];
+// fromLang 为 auto 时的检测方式，first: 使用第一个文本检测出来的语言，each: 逐个检测每个文本的语言，
+// segments: 检测每个文本中不同语言的片段，只翻译不是目标语言的片段
+const DETECT_MODES = ["first", "each", "segments"];
+// 自动检测结果不可信时的处理方式，fallback: 使用备用语言，throw: 抛出 LanguageDetectionError
+const LOW_CONFIDENCE_MODES = ["fallback", "throw"];
+
+// 段落之间的空行
+const PARAGRAPH_BREAK_REGEX = /(\r?\n[ \t]*\r?\n\s*)/;
+// 流式翻译自动检测语言时使用的最大字符数
+const STREAM_DETECT_CHARS = 4096;
+
+// 统计一组文本的字符数，用于衡量worker的负载
+function countChars(texts) {
+  return texts.reduce((sum, text) => sum + text.length, 0);
+}
+
+// 将 Translate 的两种调用方式统一为选项对象
+function normalizeTranslateOptions(fromLang, toLang, isHTML) {
+  let options;
+  if (fromLang !== null && typeof fromLang === "object") {
+    options = { from: "auto", ...fromLang };
+  } else if (isHTML !== null && typeof isHTML === "object") {
+    options = { ...isHTML, from: fromLang, to: toLang };
+  } else {
+    options = { from: fromLang, to: toLang, html: !!isHTML };
+  }
+
+  const {
+    html = false,
+    format = html ? "html" : "text",
+    timeoutMs = Math.round(Config.REQUEST_TIMEOUT * 1000),
+    priority = "normal",
+    detect = "first",
+    detailed = false,
+    quality = false,
+    tm = Config.TM,
+    protect = true,
+    protectPatterns = [],
+  } = options;
+
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}`);
+  }
+  if (format === "markdown" && (options.detailed || options.quality)) {
+    throw new Error("Detailed results are not supported for markdown");
+  }
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid priority: ${priority}`);
+  }
+  if (!DETECT_MODES.includes(detect)) {
+    throw new Error(`Invalid detect mode: ${detect}`);
+  }
+  if (detect === "segments" && (format !== "text" || detailed || quality)) {
+    throw new Error("Segment detection only supports plain text results");
+  }
+  if (typeof timeoutMs !== "number" || timeoutMs < 0) {
+    throw new Error(`Invalid timeoutMs: ${timeoutMs}`);
+  }
+  if (!Array.isArray(protectPatterns)) {
+    throw new Error("Invalid protectPatterns: must be an array");
+  }
+  if (
+    options.onMissingPlaceholders !== undefined &&
+    typeof options.onMissingPlaceholders !== "function"
+  ) {
+    throw new Error("Invalid onMissingPlaceholders: must be a function");
+  }
+
+  return {
+    ...options,
+    html: format === "html",
+    format,
+    timeoutMs,
+    priority,
+    detect,
+    // 质量分数只在详细结果中返回，因此 quality 隐含 detailed
+    detailed: !!detailed || !!quality,
+    quality: !!quality,
+    tm: !!tm,
+    glossary: Glossary.from(options.glossary),
+    protect: !!protect,
+    protectPatterns: protectPatterns.map(toGlobalRegExp),
+    detectOptions: normalizeDetectOptions(options.detectOptions),
+  };
+}
+
+// 规范化自动检测语言的选项
+function normalizeDetectOptions(options = {}) {
+  const {
+    topK = 1,
+    maxLength = Config.DETECT_LENGTH,
+    minConfidence = 0,
+    fallback = "en",
+    onLowConfidence = "fallback",
+    detailed = false,
+  } = options;
+
+  if (!Number.isInteger(topK) || topK < 1) {
+    throw new Error(`Invalid topK: ${topK}`);
+  }
+  if (!Number.isInteger(maxLength) || maxLength < 1) {
+    throw new Error(`Invalid maxLength: ${maxLength}`);
+  }
+  if (typeof minConfidence !== "number" || minConfidence < 0) {
+    throw new Error(`Invalid minConfidence: ${minConfidence}`);
+  }
+  if (!LOW_CONFIDENCE_MODES.includes(onLowConfidence)) {
+    throw new Error(`Invalid onLowConfidence: ${onLowConfidence}`);
+  }
+
+  return {
+    topK,
+    maxLength,
+    minConfidence,
+    fallback,
+    onLowConfidence,
+    detailed,
+  };
+}
+
+// 自定义保护规则统一转换为带 g 标志的正则，字符串按正则源码处理
+function toGlobalRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.global
+      ? pattern
+      : new RegExp(pattern.source, pattern.flags + "g");
+  }
+  if (typeof pattern === "string" && pattern) {
+    return new RegExp(pattern, "gu");
+  }
+  throw new Error(`Invalid protect pattern: ${pattern}`);
+}
+
+// 影响译文的选项（单次调用的术语表和保护规则），用于区分缓存条目
+function getOptionsVariant(options) {
+  if (!options.glossary && options.protect && !options.protectPatterns.length) {
+    return "";
+  }
+  return JSON.stringify([
+    options.glossary ? options.glossary.entries() : [],
+    options.protect,
+    options.protectPatterns.map(String),
+  ]);
+}
+
+// 翻译缓存的键，由语言对、HTML 标记、影响译文的选项和原文组成
+function getCacheKey(fromLang, toLang, isHTML, variant, text) {
+  return [fromLang, toLang, isHTML ? "html" : "text", variant, text].join(
+    "\u0000"
+  );
+}
+
+// 将长文本按段落和句子切分为不超过 maxChars 的块，超长的单个句子不再切分
+// 返回的片段依次拼接即为原文，translate 为 false 的片段是段落之间和块之间的空白，原样输出
+function splitStreamChunks(text, maxChars) {
+  const pieces = [];
+  const passThrough = (whitespace) => {
+    if (!whitespace) return;
+    const last = pieces[pieces.length - 1];
+    if (last && !last.translate) {
+      last.text += whitespace;
+    } else {
+      pieces.push({ text: whitespace, translate: false });
+    }
+  };
+
+  const segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+  let chunk = "";
+  const flush = () => {
+    const trimmed = chunk.trimEnd();
+    if (trimmed) {
+      pieces.push({ text: trimmed, translate: true });
+    }
+    passThrough(chunk.slice(trimmed.length));
+    chunk = "";
+  };
+
+  text.split(PARAGRAPH_BREAK_REGEX).forEach((part, i) => {
+    // split 的捕获组位于奇数位置，即段落之间的空行
+    if (i % 2 === 1) {
+      passThrough(part);
+      return;
+    }
+    const leading = /^\s*/.exec(part)[0];
+    passThrough(leading);
+    for (const { segment } of segmenter.segment(part.slice(leading.length))) {
+      if (chunk && chunk.length + segment.length > maxChars) {
+        flush();
+      }
+      chunk += segment;
+    }
+    flush();
+  });
+  return pieces;
+}
+
+// 构造不经过引擎的详细结果（空文本、同语言、纯简繁转换），整段视为一个句子，没有词对齐
+function createPlainDetailedResult(sourceText, text) {
+  const hasText = sourceText.trim().length > 0;
+  return {
+    text,
+    sourceText,
+    sourceSentences: hasText ? [{ start: 0, end: sourceText.length }] : [],
+    targetSentences: hasText ? [{ start: 0, end: text.length }] : [],
+    alignments: null,
+    qualityScores: null,
+  };
+}
+
+// 对详细结果的译文做简繁转换，并保持句子、词对齐和质量评估区间有效
+// 转换后长度不变时区间可直接沿用，否则在所有区间边界处分段转换再重新计算偏移
+async function convertDetailedResult(result, type) {
+  const converted = await OpenCC.convert(result.text, type);
+  if (converted.length === result.text.length) {
+    return { ...result, text: converted };
+  }
+
+  const ranges = [
+    ...result.targetSentences,
+    ...(result.alignments || []).map(({ target }) => target),
+    ...(result.qualityScores || []).flatMap(({ words }) => words),
+  ];
+  const boundaries = [
+    ...new Set([
+      0,
+      result.text.length,
+      ...ranges.flatMap((r) => [r.start, r.end]),
+    ]),
+  ].sort((a, b) => a - b);
+
+  let text = "";
+  const offsetMap = new Map([[0, 0]]);
+  for (let i = 1; i < boundaries.length; i++) {
+    const segment = result.text.slice(boundaries[i - 1], boundaries[i]);
+    text += await OpenCC.convert(segment, type);
+    offsetMap.set(boundaries[i], text.length);
+  }
+
+  return {
+    ...mapDetailedResult(result, null, (offset) => offsetMap.get(offset)),
+    text,
+  };
+}
+
+// 按偏移映射函数重新计算详细结果中的所有区间，映射函数为 null 时对应一侧保持不变
+function mapDetailedResult(result, mapSourceOffset, mapTargetOffset) {
+  const mapRange = (mapOffset) => (range) =>
+    mapOffset
+      ? { ...range, start: mapOffset(range.start), end: mapOffset(range.end) }
+      : range;
+  const mapSource = mapRange(mapSourceOffset);
+  const mapTarget = mapRange(mapTargetOffset);
+
+  return {
+    ...result,
+    sourceSentences: result.sourceSentences.map(mapSource),
+    targetSentences: result.targetSentences.map(mapTarget),
+    alignments:
+      result.alignments &&
+      result.alignments.map((alignment) => ({
+        ...alignment,
+        source: mapSource(alignment.source),
+        target: mapTarget(alignment.target),
+      })),
+    qualityScores:
+      result.qualityScores &&
+      result.qualityScores.map((sentence) => ({
+        ...sentence,
+        words: sentence.words.map(mapTarget),
+      })),
+  };
+}
+
+// 还原译文中的占位符，检查每个占位符是否都保留了下来
+// 丢失的占位符对应的原文片段通过 onMissingPlaceholders(missing, sourceText) 回调报告给调用方，
+// 详细结果中同时通过 missingPlaceholders 返回；详细结果还会还原原文并重新计算区间
+function restorePlaceholders(mask, result, index, options) {
+  const { detailed, onMissingPlaceholders } = options;
+  const target = mask.restore(detailed ? result.text : result, index);
+  if (target.missing.length > 0) {
+    if (
+      Config.LOG_LEVEL === "Warn" ||
+      Config.LOG_LEVEL === "Info" ||
+      Config.LOG_LEVEL === "Debug"
+    ) {
+      console.warn(
+        `Placeholders lost in translation: ${target.missing.join(", ")}`
+      );
+    }
+    onMissingPlaceholders?.(target.missing, options.sourceTexts[index]);
+  }
+  if (!detailed) {
+    return target.text;
+  }
+
+  const source = mask.restoreSource(result.sourceText, index);
+  return {
+    ...mapDetailedResult(result, source.mapOffset, target.mapOffset),
+    text: target.text,
+    sourceText: source.text,
+    missingPlaceholders: target.missing,
+  };
+}
+
 // 翻译引擎管理器
 class Translator {
   static #cachedEngines = new Map();
+  static #loadingEngines = new Map(); // 正在创建中的引擎，用于合并同一语言对的并发加载
   static #messageId = 0;
   static #pendingMessages = new Map();
+  static #retiredWorkers = new WeakSet(); // 已主动关闭或已处理过崩溃的worker
+  static #workerLastSeen = new WeakMap(); // 每个worker最后一次发来消息的时间
+  static #watchdogTimer = null;
+  static #workerLimits = new Map(); // 按语言对设置的worker数量范围
+  static #openCircuits = new Map(); // 熔断中的语言对，值为 { until, error }
   static #memoryReleaseTimer = null;
   static #memoryCheckIntervalMs = 60000; // 每分钟检查一次
 
   static #translationCounter = 0; // 翻译计数器
   static #gcThreshold = Config.GC_THRESHOLD; // 触发垃圾回收的翻译次数阈值
+  static #glossaries = new Map(); // 全局术语表，按语言对存储
+  static #cache = new LRUCache({
+    maxEntries: Config.CACHE_SIZE,
+    maxBytes: Config.CACHE_MAX_BYTES,
+  }); // 翻译结果缓存
 
   // 设置翻译计数器的垃圾回收阈值
   static setGCThreshold(threshold) {
@@ -54,26 +431,62 @@ class Translator {
       // 重置超时计时器
       this.keepAlive(languagePairKey);
       return {
-        translate: (texts, isHTML) =>
-          this.translateWithWorker(languagePairKey, texts, isHTML),
+        translate: (texts, isHTML, options) =>
+          this.translateWithWorker(languagePairKey, texts, isHTML, options),
         discardTranslations: () => this.discardTranslations(languagePairKey),
       };
     }
 
+    // 该语言对的worker反复崩溃，熔断期间直接拒绝请求
+    const openCircuit = this.#openCircuits.get(languagePairKey);
+    if (openCircuit) {
+      if (Date.now() < openCircuit.until) {
+        const seconds = Math.ceil((openCircuit.until - Date.now()) / 1000);
+        throw new EngineUnavailableError(
+          `Translation engine ${languagePairKey} is unavailable after repeated worker crashes, retry in ${seconds}s`,
+          { cause: openCircuit.error }
+        );
+      }
+      this.#openCircuits.delete(languagePairKey);
+    }
+
+    // 同一语言对已在加载中（例如服务端并发的首个请求），等待其完成即可
+    const loadingEngine = this.#loadingEngines.get(languagePairKey);
+    if (loadingEngine) {
+      await loadingEngine;
+      return this.Preload(fromLang, toLang);
+    }
+
     try {
+      // 超出引擎数量或内存限制时，先逐出最近最少使用的引擎
+      this.evictEngines(fromLang, toLang);
+
       // 在创建新引擎前先释放不需要的模型内存
       this.releaseUnusedModelMemory();
 
       // 创建worker池
-      const workerPool = await this.createWorkerPool(fromLang, toLang);
+      const loading = this.createWorkerPool(fromLang, toLang);
+      this.#loadingEngines.set(languagePairKey, loading);
+      let workerPool;
+      try {
+        workerPool = await loading;
+      } finally {
+        this.#loadingEngines.delete(languagePairKey);
+      }
 
       // 添加到缓存
       const engineData = {
         workerPool,
-        nextWorkerIndex: 0, // 用于轮询选择worker的索引
         timeoutId: null,
         lastUsedTime: Date.now(), // 记录最后使用时间
         useCount: 0, // 使用计数
+        crashTimes: [], // 时间窗口内worker崩溃的时间
+        respawnTimer: null, // 等待重启worker的计时器
+        respawning: 0, // 正在重启的worker数量
+        waiters: [], // worker池为空（全部在重启中）时等待可用worker的请求
+        latencyMs: 0, // 请求耗时的指数移动平均值，用于自动伸缩
+        scaling: false, // 是否正在扩容
+        underusedSince: null, // 开始持续有空闲worker的时间
       };
 
       // 只有在启用自动释放且超时时间大于0时才设置超时计时器
@@ -87,10 +500,12 @@ class Translator {
 
       // 启动内存释放定时器（如果尚未启动）
       this.startMemoryReleaseTimer();
+      // 启动卡住worker的检测定时器（如果尚未启动）
+      this.startWatchdog();
 
       return {
-        translate: (texts, isHTML) =>
-          this.translateWithWorker(languagePairKey, texts, isHTML),
+        translate: (texts, isHTML, options) =>
+          this.translateWithWorker(languagePairKey, texts, isHTML, options),
         discardTranslations: () => this.discardTranslations(languagePairKey),
       };
     } catch (error) {
@@ -98,7 +513,27 @@ class Translator {
     }
   }
 
-  static async translateWithWorker(languagePairKey, texts, isHTML) {
+  // options.signal 被取消时，本次调用尚未完成的批次会从worker队列中移除，并以 AbortError 拒绝
+  static async translateWithWorker(
+    languagePairKey,
+    texts,
+    isHTML,
+    options = {}
+  ) {
+    const {
+      signal,
+      priority = "normal",
+      detailed = false,
+      quality = false,
+    } = options;
+    throwIfAborted(signal);
+
+    // 引擎可能在 Preload 之后被逐出或自动释放，重新加载
+    if (!this.#cachedEngines.has(languagePairKey)) {
+      const [fromLang, toLang] = languagePairKey.split("_");
+      await this.Preload(fromLang, toLang);
+    }
+
     const cachedEngine = this.#cachedEngines.get(languagePairKey);
     if (!cachedEngine) {
       throw new Error(`Translation engine not found: ${languagePairKey}`);
@@ -110,47 +545,64 @@ class Translator {
     cachedEngine.useCount++;
     cachedEngine.lastUsedTime = Date.now();
 
-    const { workerPool, nextWorkerIndex } = cachedEngine;
     const isTextArray = Array.isArray(texts);
     const sourceTexts = isTextArray ? texts : [texts];
 
     // 更新翻译计数器
     this.#translationCounter += sourceTexts.length;
 
-    // 创建翻译任务
-    const results = [];
-    for (const sourceText of sourceTexts) {
+    // 空文本无需翻译，只收集非空文本的位置
+    const results = new Array(sourceTexts.length);
+    const pendingIndexes = [];
+    for (let i = 0; i < sourceTexts.length; i++) {
+      const sourceText = sourceTexts[i];
       if (sourceText && sourceText.trim()) {
-        const messageId = this.#messageId++;
-        const translationId = Date.now() + Math.random();
-
-        // 使用轮询方式选择worker
-        const workerIndex = cachedEngine.nextWorkerIndex;
-        const worker = workerPool[workerIndex];
+        pendingIndexes.push(i);
+      } else {
+        results[i] = detailed
+          ? createPlainDetailedResult(sourceText || "", "")
+          : "";
+      }
+    }
 
-        // 更新下一个worker索引（循环使用worker池）
-        cachedEngine.nextWorkerIndex = (workerIndex + 1) % workerPool.length;
+    // 本次调用发出的请求，signal 被取消时统一撤销
+    const requests = [];
+    const onAbort = () => {
+      this.cancelRequests(requests, getAbortError(signal));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    // 按批次切分后分发到整个worker池并行翻译，每个批次只需一次消息往返
+    const batches = this.splitIntoBatches(
+      pendingIndexes,
+      Math.max(1, cachedEngine.workerPool.length)
+    );
+    try {
+      await Promise.all(
+        batches.map(async (batch) => {
+          const batchTexts = batch.map((index) => sourceTexts[index]);
 
-        const result = await new Promise((resolve, reject) => {
-          this.#pendingMessages.set(messageId, {
-            resolve,
-            reject,
-            translationId,
-          });
+          // worker池为空（全部崩溃后正在重启）时等待重启完成
+          while (cachedEngine.workerPool.length === 0) {
+            await this.waitForWorker(cachedEngine, signal);
+          }
 
-          worker.postMessage({
-            type: MESSAGE_TYPES.TRANSLATION_REQUEST.type,
-            sourceText,
-            messageId,
-            translationId,
+          // 选择worker和发送请求在同一轮事件循环中完成，后续批次选择时能看到前面批次的负载
+          const targetTexts = await this.postTranslationRequest(
+            this.selectWorker(cachedEngine, countChars(batchTexts)),
+            batchTexts,
             isHTML,
-          });
-        });
+            { priority, detailed, quality, requests }
+          );
 
-        results.push(result);
-      } else {
-        results.push("");
-      }
+          // 按原始位置写回结果，保持输入顺序
+          batch.forEach((index, i) => {
+            results[index] = targetTexts[i];
+          });
+        })
+      );
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
     }
 
     // 基于翻译计数器触发垃圾回收
@@ -171,26 +623,181 @@ class Translator {
     return isTextArray ? results : results[0];
   }
 
-  static async createWorkerPool(fromLang, toLang) {
-    // 加载模型
+  // 为 chars 个字符的请求选择worker，worker池为空时返回 null
+  // 按未完成请求的字符数选择负载最小的worker；启用 Config.LONG_TEXT_CHARS 且有多个worker时，
+  // 长请求固定交给第一个worker，短请求只分给没有长请求在处理的worker
+  static selectWorker(cachedEngine, chars) {
+    const { workerPool } = cachedEngine;
+    if (workerPool.length <= 1) {
+      return workerPool[0] || null;
+    }
+
+    const dedicated = LONG_TEXT_CHARS > 0;
+    if (dedicated && chars >= LONG_TEXT_CHARS) {
+      return workerPool[0];
+    }
+
+    const loads = new Map(
+      workerPool.map((worker) => [worker, { chars: 0, long: false }])
+    );
+    for (const pendingMessage of this.#pendingMessages.values()) {
+      const load = loads.get(pendingMessage.worker);
+      if (load) {
+        load.chars += pendingMessage.chars;
+        load.long = load.long || pendingMessage.long;
+      }
+    }
+
+    // 负载相同时优先使用专用worker以外的worker
+    const candidates = dedicated
+      ? [...workerPool.slice(1), workerPool[0]]
+      : workerPool;
+    let selected = null;
+    let fallback = null;
+    for (const worker of candidates) {
+      const load = loads.get(worker);
+      if (!fallback || load.chars < loads.get(fallback).chars) {
+        fallback = worker;
+      }
+      if (load.long) continue;
+      if (!selected || load.chars < loads.get(selected).chars) {
+        selected = worker;
+      }
+    }
+    // 所有worker都在处理长请求时退回到负载最小的worker
+    return selected || fallback;
+  }
+
+  // 等待崩溃的worker重启完成，熔断或引擎被移除时拒绝
+  // signal 被取消（包括超时）时立即移出等待队列，并以对应的错误拒绝
+  static waitForWorker(cachedEngine, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(getAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        const index = cachedEngine.waiters.indexOf(waiter);
+        if (index !== -1) {
+          cachedEngine.waiters.splice(index, 1);
+        }
+        reject(getAbortError(signal));
+      };
+      const waiter = {
+        resolve: (worker) => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(worker);
+        },
+        reject: (error) => {
+          signal?.removeEventListener("abort", onAbort);
+          reject(error);
+        },
+      };
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      cachedEngine.waiters.push(waiter);
+    });
+  }
+
+  // 将待翻译文本的位置切分为若干批次
+  // 批次大小不超过 Config.BATCH_SIZE，且在文本足够多时批次数不少于worker数量，以便所有worker并行工作
+  static splitIntoBatches(indexes, workerCount) {
+    const batchSize = Math.max(
+      1,
+      Math.min(Config.BATCH_SIZE, Math.ceil(indexes.length / workerCount))
+    );
+
+    const batches = [];
+    for (let i = 0; i < indexes.length; i += batchSize) {
+      batches.push(indexes.slice(i, i + batchSize));
+    }
+    return batches;
+  }
+
+  // 向worker发送一个批量翻译请求，返回与输入一一对应的译文数组
+  // detailed 为 true 时返回包含句子映射和词对齐的详细结果数组，quality 为 true 时附带质量评估分数
+  // 如果传入 requests 数组，请求信息会被记录进去，以便之后通过 cancelRequests 撤销
+  static postTranslationRequest(worker, sourceTexts, isHTML, options = {}) {
+    const {
+      priority = "normal",
+      detailed = false,
+      quality = false,
+      requests,
+    } = options;
+    const messageId = this.#messageId++;
+    // worker的任务队列以 translationId 为键，必须唯一，Date.now() + Math.random() 在同一毫秒内可能重复
+    const translationId = messageId;
+    const chars = countChars(sourceTexts);
+
+    const message = {
+      type: MESSAGE_TYPES.TRANSLATION_REQUEST.type,
+      sourceTexts,
+      messageId,
+      translationId,
+      isHTML,
+      priority,
+      detailed,
+      quality,
+    };
+
+    requests?.push(messageId);
+
+    return new Promise((resolve, reject) => {
+      // 记录处理该请求的worker和原始消息，worker崩溃时只影响它自己的请求，并可以重新发送
+      this.#pendingMessages.set(messageId, {
+        resolve,
+        reject,
+        translationId,
+        worker,
+        message,
+        retries: 0,
+        sentAt: Date.now(),
+        // 用于按负载选择worker
+        chars,
+        long: LONG_TEXT_CHARS > 0 && chars >= LONG_TEXT_CHARS,
+      });
+
+      worker.postMessage(message);
+    });
+  }
+
+  // 撤销尚未完成的请求：通知worker从队列中移除对应任务，并以 error 拒绝
+  static cancelRequests(requests, error) {
+    for (const messageId of requests) {
+      const pendingMessage = this.#pendingMessages.get(messageId);
+      if (!pendingMessage) continue;
+
+      this.#pendingMessages.delete(messageId);
+      // 重新发送前等待可用worker时 worker 为 null
+      pendingMessage.worker?.postMessage({
+        type: MESSAGE_TYPES.CANCEL_SINGLE_TRANSLATION.type,
+        translationId: pendingMessage.translationId,
+      });
+      pendingMessage.reject(error);
+    }
+  }
+
+  // 加载语言对需要的模型，返回初始化worker使用的模型数据
+  static async loadModelPayloads(fromLang, toLang) {
     const needMiddle = fromLang !== "en" && toLang !== "en";
     await this.loadModels(fromLang, toLang, needMiddle);
 
-    // 准备模型数据
-    let modelPayloads = [];
     if (needMiddle) {
-      modelPayloads = [
-        this.models[`${fromLang}_en`],
-        this.models[`en_${toLang}`],
-      ];
-    } else {
-      modelPayloads = [this.models[`${fromLang}_${toLang}`]];
+      return [this.models[`${fromLang}_en`], this.models[`en_${toLang}`]];
     }
+    return [this.models[`${fromLang}_${toLang}`]];
+  }
+
+  static async createWorkerPool(fromLang, toLang) {
+    // 加载模型并准备模型数据
+    const modelPayloads = await this.loadModelPayloads(fromLang, toLang);
 
-    // 创建worker池
+    // 创建worker池，初始为最小worker数量
     const workerPool = [];
+    const { min } = this.getWorkerLimits(fromLang, toLang);
 
-    for (let i = 0; i < WORKERS_PER_LANGUAGE_PAIR; i++) {
+    for (let i = 0; i < min; i++) {
       const worker = await this.createWorker(fromLang, toLang, modelPayloads);
       workerPool.push(worker);
     }
@@ -207,26 +814,61 @@ class Translator {
 
     // 设置消息处理器
     worker.on("message", (data) => {
-      this.handleWorkerMessage(data, fromLang, toLang);
+      this.handleWorkerMessage(data, worker, fromLang, toLang);
     });
 
+    // 初始化完成前的错误由下面的初始化流程处理
+    let initialized = false;
     worker.on("error", (error) => {
       console.error(`Worker error (${fromLang}->${toLang}):`, error);
-      this.removeEngine(this.getLanguagePairKey(fromLang, toLang));
+      if (initialized) {
+        this.handleWorkerCrash(worker, error, fromLang, toLang);
+      }
+    });
 
-      // 拒绝所有待处理的消息
-      for (const [messageId, { reject }] of this.#pendingMessages.entries()) {
-        reject(new Error(`Worker error: ${error.message}`));
-        this.#pendingMessages.delete(messageId);
+    // WASM abort 或 process.exit 等导致的退出不一定会触发 error 事件
+    worker.on("exit", (code) => {
+      if (initialized) {
+        this.handleWorkerCrash(
+          worker,
+          new Error(`Worker exited with code ${code}`),
+          fromLang,
+          toLang
+        );
       }
     });
 
     // 等待 worker 初始化
-    await new Promise((resolve, reject) => {
+    try {
+      await this.waitForWorkerInit(worker, fromLang, toLang, modelPayloads);
+    } catch (error) {
+      this.terminateWorker(worker);
+      throw error;
+    }
+    initialized = true;
+    this.#workerLastSeen.set(worker, Date.now());
+
+    return worker;
+  }
+
+  // 等待worker就绪后发送模型数据，初始化失败、超时或worker退出时拒绝
+  static waitForWorkerInit(worker, fromLang, toLang, modelPayloads) {
+    return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
         reject(new Error("Worker initialization timeout"));
       }, 600000); // 600秒超时
 
+      worker.once("error", (error) => {
+        clearTimeout(timeout);
+        reject(new Error(`Worker initialization failed: ${error.message}`));
+      });
+      worker.once("exit", (code) => {
+        clearTimeout(timeout);
+        reject(
+          new Error(`Worker exited during initialization with code ${code}`)
+        );
+      });
+
       worker.once("message", (data) => {
         if (data.type === MESSAGE_TYPES.WORKER_READY.type) {
           clearTimeout(timeout);
@@ -254,21 +896,202 @@ class Translator {
         }
       });
     });
+  }
 
-    return worker;
+  // 主动关闭worker，关闭引起的退出不会被当作崩溃处理
+  static terminateWorker(worker) {
+    this.#retiredWorkers.add(worker);
+    worker.terminate();
+  }
+
+  // 拒绝某个worker上所有待处理的消息
+  static rejectWorkerMessages(worker, error) {
+    for (const [messageId, pendingMessage] of this.#pendingMessages) {
+      if (pendingMessage.worker === worker) {
+        this.#pendingMessages.delete(messageId);
+        pendingMessage.reject(error);
+      }
+    }
+  }
+
+  // worker崩溃后只处理它自己的请求：未超过重试次数的请求重新发送到同一语言对的其他worker，其余以错误拒绝
+  // 崩溃的worker按退避延迟重启，一个时间窗口内崩溃次数过多时熔断，移除该语言对的引擎
+  static handleWorkerCrash(worker, error, fromLang, toLang) {
+    if (this.#retiredWorkers.has(worker)) return;
+    this.#retiredWorkers.add(worker);
+    worker.terminate();
+
+    const languagePairKey = this.getLanguagePairKey(fromLang, toLang);
+    const cachedEngine = this.#cachedEngines.get(languagePairKey);
+    const crashError = new Error(`Worker error: ${error.message}`, {
+      cause: error,
+    });
+
+    if (!cachedEngine || !cachedEngine.workerPool.includes(worker)) {
+      this.rejectWorkerMessages(worker, crashError);
+      return;
+    }
+
+    cachedEngine.workerPool.splice(cachedEngine.workerPool.indexOf(worker), 1);
+
+    const now = Date.now();
+    cachedEngine.crashTimes = cachedEngine.crashTimes.filter(
+      (time) => now - time < WORKER_CRASH_WINDOW_MS
+    );
+    cachedEngine.crashTimes.push(now);
+
+    if (cachedEngine.crashTimes.length >= Config.WORKER_MAX_CRASHES) {
+      this.rejectWorkerMessages(worker, crashError);
+      this.openCircuit(languagePairKey, crashError);
+      return;
+    }
+
+    // 重新发送该worker上的请求，已经重试过的请求视为导致崩溃的输入，直接拒绝
+    for (const [messageId, pendingMessage] of this.#pendingMessages) {
+      if (pendingMessage.worker !== worker) continue;
+
+      if (pendingMessage.retries >= WORKER_CRASH_RETRIES) {
+        this.#pendingMessages.delete(messageId);
+        pendingMessage.reject(crashError);
+        continue;
+      }
+
+      pendingMessage.retries++;
+      this.resendMessage(cachedEngine, messageId, pendingMessage);
+    }
+
+    this.scheduleRespawn(languagePairKey, cachedEngine, fromLang, toLang);
+  }
+
+  // 把崩溃worker上的请求（或转移目标已被移除的请求）重新发送到负载最小的worker，没有可用worker时等待重启完成
+  static async resendMessage(cachedEngine, messageId, pendingMessage) {
+    pendingMessage.worker = null;
+    delete pendingMessage.moveTo;
+    delete pendingMessage.startedAt;
+    try {
+      while (cachedEngine.workerPool.length === 0) {
+        await this.waitForWorker(cachedEngine);
+      }
+    } catch (error) {
+      if (this.#pendingMessages.get(messageId) === pendingMessage) {
+        this.#pendingMessages.delete(messageId);
+        pendingMessage.reject(error);
+      }
+      return;
+    }
+
+    // 等待期间请求可能已被取消
+    if (this.#pendingMessages.get(messageId) !== pendingMessage) return;
+
+    const worker = this.selectWorker(cachedEngine, pendingMessage.chars);
+    pendingMessage.worker = worker;
+    pendingMessage.sentAt = Date.now();
+    worker.postMessage(pendingMessage.message);
+  }
+
+  // 按退避延迟重启一个worker，重启成功后加入worker池并唤醒等待中的请求
+  static scheduleRespawn(languagePairKey, cachedEngine, fromLang, toLang) {
+    const crashCount = cachedEngine.crashTimes.length;
+    const delay =
+      crashCount <= 1
+        ? 0
+        : Math.min(
+            WORKER_RESPAWN_BASE_DELAY_MS * 2 ** (crashCount - 2),
+            WORKER_RESPAWN_MAX_DELAY_MS
+          );
+
+    if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+      console.log(
+        `Respawning worker for ${languagePairKey} in ${delay}ms (${crashCount}/${Config.WORKER_MAX_CRASHES} crashes)`
+      );
+    }
+
+    cachedEngine.respawning++;
+    const timer = setTimeout(async () => {
+      cachedEngine.respawnTimer = null;
+      try {
+        // 等待期间引擎已被移除或熔断
+        if (this.#cachedEngines.get(languagePairKey) !== cachedEngine) return;
+
+        let worker;
+        try {
+          const modelPayloads = await this.loadModelPayloads(fromLang, toLang);
+          worker = await this.createWorker(fromLang, toLang, modelPayloads);
+        } catch (error) {
+          console.error(
+            `Worker respawn failed (${fromLang}->${toLang}):`,
+            error
+          );
+          if (this.#cachedEngines.get(languagePairKey) !== cachedEngine) return;
+          cachedEngine.crashTimes.push(Date.now());
+          if (cachedEngine.crashTimes.length >= Config.WORKER_MAX_CRASHES) {
+            this.openCircuit(languagePairKey, error);
+          } else {
+            this.scheduleRespawn(
+              languagePairKey,
+              cachedEngine,
+              fromLang,
+              toLang
+            );
+          }
+          return;
+        }
+
+        if (this.#cachedEngines.get(languagePairKey) !== cachedEngine) {
+          this.terminateWorker(worker);
+          return;
+        }
+
+        cachedEngine.workerPool.push(worker);
+        const waiters = cachedEngine.waiters.splice(0);
+        waiters.forEach(({ resolve }) => resolve(worker));
+      } finally {
+        cachedEngine.respawning--;
+      }
+    }, delay);
+    cachedEngine.respawnTimer = timer;
+  }
+
+  // 熔断：移除语言对的引擎，在 Config.WORKER_COOLDOWN 秒内拒绝该语言对的请求
+  static openCircuit(languagePairKey, error) {
+    console.error(
+      `Worker for ${languagePairKey} crashed ${Config.WORKER_MAX_CRASHES} times, pausing translations for ${Config.WORKER_COOLDOWN}s`
+    );
+    this.#openCircuits.set(languagePairKey, {
+      until: Date.now() + WORKER_COOLDOWN_MS,
+      error,
+    });
+    this.removeEngine(
+      languagePairKey,
+      new EngineUnavailableError(
+        `Translation engine ${languagePairKey} is unavailable after repeated worker crashes`,
+        { cause: error }
+      )
+    );
   }
 
-  static handleWorkerMessage(data, fromLang, toLang) {
+  static handleWorkerMessage(data, worker, fromLang, toLang) {
     const languagePairKey = this.getLanguagePairKey(fromLang, toLang);
 
+    // 任何消息都说明worker仍在响应
+    this.#workerLastSeen.set(worker, Date.now());
+
     switch (data.type) {
       case MESSAGE_TYPES.TRANSLATION_RESPONSE.type: {
-        const { messageId, targetText } = data;
+        const { messageId, targetTexts } = data;
         const pendingMessage = this.#pendingMessages.get(messageId);
 
         if (pendingMessage) {
-          pendingMessage.resolve(targetText);
+          pendingMessage.resolve(targetTexts);
           this.#pendingMessages.delete(messageId);
+
+          // 记录请求耗时（包括在worker队列中等待的时间）
+          const cachedEngine = this.#cachedEngines.get(languagePairKey);
+          if (cachedEngine) {
+            cachedEngine.latencyMs =
+              cachedEngine.latencyMs * 0.8 +
+              (Date.now() - pendingMessage.sentAt) * 0.2;
+          }
         }
 
         // 重置超时
@@ -276,6 +1099,15 @@ class Translator {
         break;
       }
 
+      case MESSAGE_TYPES.TRANSLATION_STARTED.type: {
+        // 记录开始翻译的时间，用于判断worker是否卡住
+        const pendingMessage = this.#pendingMessages.get(data.messageId);
+        if (pendingMessage?.worker === worker) {
+          pendingMessage.startedAt = Date.now();
+        }
+        break;
+      }
+
       case MESSAGE_TYPES.TRANSLATION_ERROR.type: {
         const { messageId, error } = data;
         const pendingMessage = this.#pendingMessages.get(messageId);
@@ -287,14 +1119,36 @@ class Translator {
         break;
       }
 
-      case MESSAGE_TYPES.TRANSLATIONS_DISCARDED.type: {
-        // 拒绝所有待处理的消息
-        for (const [messageId, { reject }] of this.#pendingMessages.entries()) {
-          reject(new Error("Translations were discarded"));
-          this.#pendingMessages.delete(messageId);
+      case MESSAGE_TYPES.TRANSLATION_CANCELLED.type: {
+        // 转移中的请求已从原worker的队列中移除，此时才发送给目标worker
+        const { translationId } = data;
+        const pendingMessage = this.#pendingMessages.get(translationId);
+        if (!pendingMessage?.moveTo || pendingMessage.worker !== worker) break;
+
+        const cachedEngine = this.#cachedEngines.get(languagePairKey);
+        const target = pendingMessage.moveTo;
+        delete pendingMessage.moveTo;
+        if (!cachedEngine) {
+          this.#pendingMessages.delete(translationId);
+          pendingMessage.reject(new Error("Translation engine was removed"));
+        } else if (cachedEngine.workerPool.includes(target)) {
+          pendingMessage.worker = target;
+          target.postMessage(pendingMessage.message);
+        } else {
+          // 目标worker在等待确认期间被移除，改发给其他worker
+          this.resendMessage(cachedEngine, translationId, pendingMessage);
         }
         break;
       }
+
+      case MESSAGE_TYPES.TRANSLATIONS_DISCARDED.type: {
+        // 拒绝该worker上所有待处理的消息
+        this.rejectWorkerMessages(
+          worker,
+          new Error("Translations were discarded")
+        );
+        break;
+      }
     }
   }
 
@@ -332,19 +1186,29 @@ class Translator {
     this.#cachedEngines.set(languagePairKey, cachedEngine);
   }
 
-  static removeEngine(languagePairKey) {
+  // 移除语言对的引擎，引擎上未完成的请求以 error 拒绝
+  static removeEngine(
+    languagePairKey,
+    error = new Error("Translation engine was released")
+  ) {
     const cachedEngine = this.#cachedEngines.get(languagePairKey);
 
     if (cachedEngine) {
       if (cachedEngine.timeoutId) {
         clearTimeout(cachedEngine.timeoutId);
       }
+      if (cachedEngine.respawnTimer) {
+        clearTimeout(cachedEngine.respawnTimer);
+      }
 
       if (cachedEngine.workerPool) {
         cachedEngine.workerPool.forEach((worker) => {
-          worker.terminate();
+          this.terminateWorker(worker);
+          this.rejectWorkerMessages(worker, error);
         });
       }
+
+      cachedEngine.waiters.splice(0).forEach(({ reject }) => reject(error));
     }
 
     this.#cachedEngines.delete(languagePairKey);
@@ -352,26 +1216,108 @@ class Translator {
     // 移除引擎后立即释放不需要的模型内存
     this.releaseUnusedModelMemory();
 
-    // 如果没有更多的引擎，停止内存释放定时器
+    // 如果没有更多的引擎，停止内存释放定时器和卡住worker的检测定时器
     if (this.#cachedEngines.size === 0) {
       this.stopMemoryReleaseTimer();
+      this.stopWatchdog();
+    }
+  }
+
+  static startWatchdog() {
+    if (this.#watchdogTimer || WORKER_HANG_TIMEOUT_MS <= 0) {
+      return;
+    }
+
+    this.#watchdogTimer = setInterval(() => {
+      this.checkWorkerHealth();
+    }, WORKER_HEALTH_CHECK_INTERVAL_MS);
+  }
+
+  static stopWatchdog() {
+    if (this.#watchdogTimer) {
+      clearInterval(this.#watchdogTimer);
+      this.#watchdogTimer = null;
+    }
+  }
+
+  // 检查worker是否卡住，卡住的worker按崩溃处理：终止并重启，它正在处理的请求重新发送或拒绝
+  // 正在翻译的worker无法回复健康检查，按批次开始翻译的时间判断：
+  // 超过 Config.WORKER_HANG_TIMEOUT 秒加上按批次字符数计算的额外时间仍未完成时视为卡住；
+  // 没有正在翻译的批次时，超过 Config.WORKER_HANG_TIMEOUT 秒没有任何回复视为卡住
+  static checkWorkerHealth() {
+    const now = Date.now();
+    for (const [languagePairKey, cachedEngine] of this.#cachedEngines) {
+      const [fromLang, toLang] = languagePairKey.split("_");
+
+      for (const worker of [...cachedEngine.workerPool]) {
+        const running = this.getRunningMessage(worker);
+        let error = null;
+        if (running) {
+          const elapsedMs = now - running.startedAt;
+          const limitMs =
+            WORKER_HANG_TIMEOUT_MS + running.chars * WORKER_HANG_MS_PER_CHAR;
+          if (elapsedMs >= limitMs) {
+            error = new Error(
+              `Translation of ${running.chars} characters still running after ${Math.round(
+                elapsedMs / 1000
+              )}s`
+            );
+          }
+        } else {
+          const silentMs = now - (this.#workerLastSeen.get(worker) ?? now);
+          if (silentMs >= WORKER_HANG_TIMEOUT_MS) {
+            error = new Error(
+              `Worker unresponsive for ${Math.round(silentMs / 1000)}s`
+            );
+          }
+        }
+
+        if (!error) {
+          worker.postMessage(MESSAGE_TYPES.HEALTH_CHECK);
+          continue;
+        }
+
+        console.error(
+          `Worker for ${languagePairKey} appears to be stuck (${error.message}), restarting it`
+        );
+        this.handleWorkerCrash(worker, error, fromLang, toLang);
+      }
+    }
+  }
+
+  // 获取worker正在翻译的请求，即最近一个已开始执行但尚未完成的请求
+  static getRunningMessage(worker) {
+    let running = null;
+    for (const pendingMessage of this.#pendingMessages.values()) {
+      if (
+        pendingMessage.worker === worker &&
+        pendingMessage.startedAt !== undefined &&
+        (!running || pendingMessage.startedAt > running.startedAt)
+      ) {
+        running = pendingMessage;
+      }
     }
+    return running;
   }
 
   static startMemoryReleaseTimer() {
-    // 如果已经有定时器或者功能被禁用，或者超时时间为0，则不创建新的定时器
+    const autoscale = this.isAutoscaleEnabled();
+    // 如果已经有定时器，或者自动释放被禁用（超时时间为0）且不需要自动伸缩，则不创建新的定时器
     if (
       this.#memoryReleaseTimer ||
-      !ENGINE_CACHE_ENABLE ||
-      ENGINE_CACHE_TIMEOUT_MINUTES <= 0
+      ((!ENGINE_CACHE_ENABLE || ENGINE_CACHE_TIMEOUT_MINUTES <= 0) &&
+        !autoscale)
     ) {
       return;
     }
 
-    // 创建定时器，定期检查
-    this.#memoryReleaseTimer = setInterval(() => {
-      this.checkAndReleaseMemory();
-    }, this.#memoryCheckIntervalMs);
+    // 创建定时器，定期检查；自动伸缩需要更及时地响应负载变化，因此缩短检查间隔
+    this.#memoryReleaseTimer = setInterval(
+      () => {
+        this.checkAndReleaseMemory();
+      },
+      autoscale ? AUTOSCALE_INTERVAL_MS : this.#memoryCheckIntervalMs
+    );
   }
 
   static stopMemoryReleaseTimer() {
@@ -382,12 +1328,16 @@ class Translator {
   }
 
   static checkAndReleaseMemory() {
-    // 如果自动释放被禁用或超时时间为0，或者没有缓存的引擎，直接返回
-    if (
-      !ENGINE_CACHE_ENABLE ||
-      ENGINE_CACHE_TIMEOUT_MINUTES <= 0 ||
-      this.#cachedEngines.size === 0
-    ) {
+    // 没有缓存的引擎，直接返回
+    if (this.#cachedEngines.size === 0) {
+      return;
+    }
+
+    // 根据负载调整各语言对的worker数量
+    this.autoscaleWorkerPools();
+
+    // 如果自动释放被禁用或超时时间为0，直接返回
+    if (!ENGINE_CACHE_ENABLE || ENGINE_CACHE_TIMEOUT_MINUTES <= 0) {
       return;
     }
 
@@ -414,17 +1364,328 @@ class Translator {
     this.releaseUnusedModelMemory();
   }
 
-  static async Shutdown() {
-    // 停止内存释放定时器
-    this.stopMemoryReleaseTimer();
+  // 语言对使用的模型文件的字节数
+  static getModelBytes(fromLang, toLang) {
+    if (!this.models) return 0;
 
-    // 拒绝所有待处理的消息
-    for (const [messageId, { reject }] of this.#pendingMessages.entries()) {
-      reject(new Error("All engines are being closed"));
-      this.#pendingMessages.delete(messageId);
+    const modelKeys =
+      fromLang !== "en" && toLang !== "en"
+        ? [`${fromLang}_en`, `en_${toLang}`]
+        : [`${fromLang}_${toLang}`];
+    let bytes = 0;
+    for (const modelKey of modelKeys) {
+      const payload = this.models[modelKey];
+      if (!payload) continue;
+      for (const { buffer } of Object.values(payload.languageModelFiles)) {
+        bytes += buffer.byteLength;
+      }
     }
+    return bytes;
+  }
 
-    // 关闭所有引擎
+  // 估算所有引擎占用的内存：每个worker一个 WASM 实例和一份模型文件，主线程另保留一份模型文件
+  // 正在创建的引擎按最少worker数量估算
+  static estimateMemoryUsage() {
+    let bytes = 0;
+    for (const [
+      languagePairKey,
+      cachedEngine,
+    ] of this.#cachedEngines.entries()) {
+      const [fromLang, toLang] = languagePairKey.split("_");
+      const workers =
+        cachedEngine.workerPool.length +
+        cachedEngine.respawning +
+        (cachedEngine.scaling ? 1 : 0);
+      const modelBytes = this.getModelBytes(fromLang, toLang);
+      bytes += workers * (WORKER_WASM_MEMORY_BYTES + modelBytes) + modelBytes;
+    }
+    for (const languagePairKey of this.#loadingEngines.keys()) {
+      const [fromLang, toLang] = languagePairKey.split("_");
+      bytes +=
+        this.getWorkerLimits(fromLang, toLang).min * WORKER_WASM_MEMORY_BYTES;
+    }
+    return bytes;
+  }
+
+  // 引擎是否有未完成的请求，包括等待worker重启的请求
+  static isEngineBusy(cachedEngine) {
+    if (cachedEngine.waiters.length > 0) {
+      return true;
+    }
+    for (const pendingMessage of this.#pendingMessages.values()) {
+      if (cachedEngine.workerPool.includes(pendingMessage.worker)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // 创建新引擎前，按最后使用时间（相同时按使用次数）从旧到新逐出引擎，
+  // 直到引擎数量不超过 Config.MAX_ENGINES，且估算内存不超过 Config.MAX_MEMORY_MB
+  // 有未完成请求的引擎不会被逐出，没有可逐出的引擎时仍然创建新引擎
+  static evictEngines(fromLang, toLang) {
+    if (MAX_ENGINES <= 0 && MAX_MEMORY_BYTES <= 0) {
+      return;
+    }
+
+    const requiredBytes =
+      this.getWorkerLimits(fromLang, toLang).min * WORKER_WASM_MEMORY_BYTES;
+    const isOverBudget = () =>
+      (MAX_ENGINES > 0 &&
+        this.#cachedEngines.size + this.#loadingEngines.size >= MAX_ENGINES) ||
+      (MAX_MEMORY_BYTES > 0 &&
+        this.estimateMemoryUsage() + requiredBytes > MAX_MEMORY_BYTES);
+
+    const candidates = [...this.#cachedEngines.entries()]
+      .filter(([, cachedEngine]) => !this.isEngineBusy(cachedEngine))
+      .sort(
+        ([, a], [, b]) =>
+          a.lastUsedTime - b.lastUsedTime || a.useCount - b.useCount
+      );
+
+    while (isOverBudget()) {
+      const candidate = candidates.shift();
+      if (!candidate) {
+        if (
+          Config.LOG_LEVEL === "Warn" ||
+          Config.LOG_LEVEL === "Info" ||
+          Config.LOG_LEVEL === "Debug"
+        ) {
+          console.warn(
+            `No idle translation engine to evict, loading ${this.getLanguagePairKey(
+              fromLang,
+              toLang
+            )} over the engine limit`
+          );
+        }
+        return;
+      }
+
+      const [languagePairKey] = candidate;
+      if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+        console.log(
+          `Evicting least recently used engine ${languagePairKey} to stay within the engine limit`
+        );
+      }
+      this.removeEngine(languagePairKey);
+    }
+  }
+
+  // 是否有语言对的最大worker数量大于最小值
+  static isAutoscaleEnabled() {
+    if (MAX_WORKERS_PER_LANGUAGE_PAIR > WORKERS_PER_LANGUAGE_PAIR) {
+      return true;
+    }
+    for (const { min, max } of this.#workerLimits.values()) {
+      if (max > min) return true;
+    }
+    return false;
+  }
+
+  // 获取语言对的worker数量范围，未单独设置时使用 Config.WORKERS 和 Config.MAX_WORKERS
+  static getWorkerLimits(fromLang, toLang) {
+    const key = this.getLanguagePairKey(
+      Lang.MALIAS[fromLang] || fromLang,
+      Lang.MALIAS[toLang] || toLang
+    );
+    return (
+      this.#workerLimits.get(key) || {
+        min: WORKERS_PER_LANGUAGE_PAIR,
+        max: MAX_WORKERS_PER_LANGUAGE_PAIR,
+      }
+    );
+  }
+
+  // 根据队列深度和请求耗时调整每个语言对的worker数量，每次检查最多增减一个worker
+  // 负载高的语言对在 Config.WORKER_BUDGET 的总数限制内扩容，持续有空闲worker的语言对缩回最小值
+  static autoscaleWorkerPools() {
+    const now = Date.now();
+    let totalWorkers = 0;
+    for (const cachedEngine of this.#cachedEngines.values()) {
+      totalWorkers +=
+        cachedEngine.workerPool.length +
+        cachedEngine.respawning +
+        (cachedEngine.scaling ? 1 : 0);
+    }
+
+    for (const [
+      languagePairKey,
+      cachedEngine,
+    ] of this.#cachedEngines.entries()) {
+      const [fromLang, toLang] = languagePairKey.split("_");
+      const { min, max } = this.getWorkerLimits(fromLang, toLang);
+      const { workerPool } = cachedEngine;
+
+      // 崩溃后正在重启或正在扩容时不调整
+      if (cachedEngine.scaling || cachedEngine.respawning > 0) continue;
+
+      let pendingCount = 0;
+      const busyWorkers = new Set();
+      for (const pendingMessage of this.#pendingMessages.values()) {
+        if (workerPool.includes(pendingMessage.worker)) {
+          pendingCount++;
+          busyWorkers.add(pendingMessage.worker);
+        }
+      }
+
+      const queueDepth = pendingCount / Math.max(1, workerPool.length);
+      const withinMemory =
+        MAX_MEMORY_BYTES <= 0 ||
+        this.estimateMemoryUsage() +
+          WORKER_WASM_MEMORY_BYTES +
+          this.getModelBytes(fromLang, toLang) <=
+          MAX_MEMORY_BYTES;
+      const overloaded =
+        queueDepth >= AUTOSCALE_QUEUE_DEPTH ||
+        (pendingCount > 0 && cachedEngine.latencyMs >= AUTOSCALE_LATENCY_MS);
+
+      if (
+        workerPool.length < min ||
+        (overloaded &&
+          workerPool.length < max &&
+          totalWorkers < Config.WORKER_BUDGET &&
+          withinMemory)
+      ) {
+        totalWorkers++;
+        cachedEngine.underusedSince = null;
+        this.addWorker(languagePairKey, cachedEngine, fromLang, toLang);
+        continue;
+      }
+
+      // 负载高（已达到上限）或所有worker都在工作时不缩容
+      if (overloaded || busyWorkers.size >= workerPool.length) {
+        cachedEngine.underusedSince = null;
+        continue;
+      }
+      cachedEngine.underusedSince = cachedEngine.underusedSince ?? now;
+
+      if (
+        workerPool.length > min &&
+        now - cachedEngine.underusedSince >= AUTOSCALE_IDLE_MS
+      ) {
+        // 移除最后一个空闲的worker，第一个worker可能专门处理长文本，保留不动
+        const worker = workerPool.findLast(
+          (worker, index) => index > 0 && !busyWorkers.has(worker)
+        );
+        if (worker) {
+          workerPool.splice(workerPool.indexOf(worker), 1);
+          this.terminateWorker(worker);
+          totalWorkers--;
+          cachedEngine.underusedSince = now;
+          if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+            console.log(
+              `Scaled down ${languagePairKey} to ${workerPool.length} workers`
+            );
+          }
+        }
+      }
+    }
+  }
+
+  // 为语言对增加一个worker
+  static async addWorker(languagePairKey, cachedEngine, fromLang, toLang) {
+    cachedEngine.scaling = true;
+    let worker;
+    try {
+      const modelPayloads = await this.loadModelPayloads(fromLang, toLang);
+      worker = await this.createWorker(fromLang, toLang, modelPayloads);
+    } catch (error) {
+      console.error(`Worker scale up failed (${fromLang}->${toLang}):`, error);
+      return;
+    } finally {
+      cachedEngine.scaling = false;
+    }
+
+    // 扩容期间引擎已被移除
+    if (this.#cachedEngines.get(languagePairKey) !== cachedEngine) {
+      this.terminateWorker(worker);
+      return;
+    }
+
+    cachedEngine.workerPool.push(worker);
+    this.rebalanceWorkers(cachedEngine, worker);
+    if (Config.LOG_LEVEL === "Info" || Config.LOG_LEVEL === "Debug") {
+      console.log(
+        `Scaled up ${languagePairKey} to ${cachedEngine.workerPool.length} workers`
+      );
+    }
+  }
+
+  // 把其他worker队列末尾超出平均数量的请求转给新加入的worker，使已排队的请求也能受益于扩容
+  // 先让原worker取消请求，收到确认后才发送给新worker；已经开始处理的请求不会确认，留在原worker上完成
+  static rebalanceWorkers(cachedEngine, worker) {
+    const queues = new Map(
+      cachedEngine.workerPool.map((poolWorker) => [poolWorker, []])
+    );
+    let pendingCount = 0;
+    for (const entry of this.#pendingMessages) {
+      const queue = queues.get(entry[1].worker);
+      // 正在转移的请求不再重复转移
+      if (queue && !entry[1].moveTo) {
+        queue.push(entry);
+        pendingCount++;
+      }
+    }
+
+    const share = Math.floor(pendingCount / cachedEngine.workerPool.length);
+    let moved = queues.get(worker).length;
+    for (const [poolWorker, queue] of queues) {
+      if (poolWorker === worker) continue;
+      // 保留排在前面的请求，它们可能正在处理
+      for (const [, pendingMessage] of queue.slice(share).reverse()) {
+        if (moved >= share) return;
+        pendingMessage.moveTo = worker;
+        poolWorker.postMessage({
+          type: MESSAGE_TYPES.CANCEL_SINGLE_TRANSLATION.type,
+          translationId: pendingMessage.translationId,
+        });
+        moved++;
+      }
+    }
+  }
+
+  // 设置语言对的worker数量范围，min 为最少的worker数量，max 为自动扩容的上限
+  // 传入 null 时恢复为 Config.WORKERS 和 Config.MAX_WORKERS
+  static SetWorkerLimits(fromLang, toLang, limits) {
+    const key = this.getLanguagePairKey(
+      Lang.MALIAS[fromLang] || fromLang,
+      Lang.MALIAS[toLang] || toLang
+    );
+    if (limits === null || limits === undefined) {
+      this.#workerLimits.delete(key);
+    } else {
+      const {
+        min = WORKERS_PER_LANGUAGE_PAIR,
+        max = Math.max(min, MAX_WORKERS_PER_LANGUAGE_PAIR),
+      } = limits;
+      if (!Number.isInteger(min) || min < 1) {
+        throw new Error(`Invalid min workers: ${min}`);
+      }
+      if (!Number.isInteger(max) || max < min) {
+        throw new Error(`Invalid max workers: ${max}`);
+      }
+      this.#workerLimits.set(key, { min, max });
+    }
+
+    // 重新创建定时器，使检查间隔与是否需要自动伸缩一致
+    this.stopMemoryReleaseTimer();
+    if (this.#cachedEngines.size > 0) {
+      this.startMemoryReleaseTimer();
+    }
+  }
+
+  static async Shutdown() {
+    // 停止内存释放定时器和卡住worker的检测定时器
+    this.stopMemoryReleaseTimer();
+    this.stopWatchdog();
+
+    // 拒绝所有待处理的消息
+    for (const [messageId, { reject }] of this.#pendingMessages.entries()) {
+      reject(new Error("All engines are being closed"));
+      this.#pendingMessages.delete(messageId);
+    }
+
+    // 关闭所有引擎
     for (const [
       languagePairKey,
       cachedEngine,
@@ -432,12 +1693,21 @@ class Translator {
       if (cachedEngine.timeoutId) {
         clearTimeout(cachedEngine.timeoutId);
       }
+      if (cachedEngine.respawnTimer) {
+        clearTimeout(cachedEngine.respawnTimer);
+      }
 
       if (cachedEngine.workerPool) {
         cachedEngine.workerPool.forEach((worker) => {
-          worker.terminate();
+          this.terminateWorker(worker);
         });
       }
+
+      cachedEngine.waiters
+        .splice(0)
+        .forEach(({ reject }) =>
+          reject(new Error("All engines are being closed"))
+        );
     }
 
     // 清空缓存
@@ -456,6 +1726,59 @@ class Translator {
     }
   }
 
+  // 清空翻译结果缓存
+  static ClearCache() {
+    this.#cache.clear();
+  }
+
+  // 获取翻译结果缓存的统计信息，包括条目数、字节数和命中/未命中次数
+  static GetCacheStats() {
+    return this.#cache.stats();
+  }
+
+  // 设置语言对的全局术语表，传入 null 或空术语表时删除
+  // 术语表变化后缓存中的译文可能不再符合要求，因此同时清空缓存
+  static SetGlossary(fromLang, toLang, glossary) {
+    const key = this.getLanguagePairKey(
+      Lang.MALIAS[fromLang] || fromLang,
+      Lang.MALIAS[toLang] || toLang
+    );
+    const value = Glossary.from(glossary);
+    if (value && value.size > 0) {
+      this.#glossaries.set(key, value);
+    } else {
+      this.#glossaries.delete(key);
+    }
+    this.#cache.clear();
+  }
+
+  // 获取语言对的全局术语表，未设置时返回 null
+  static GetGlossary(fromLang, toLang) {
+    const key = this.getLanguagePairKey(
+      Lang.MALIAS[fromLang] || fromLang,
+      Lang.MALIAS[toLang] || toLang
+    );
+    return this.#glossaries.get(key) || null;
+  }
+
+  // 从 CSV 或 TBX 文件加载语言对的全局术语表，返回加载的术语数
+  static async LoadGlossary(filePath, fromLang, toLang) {
+    const glossary = await Glossary.load(filePath, {
+      from: fromLang,
+      to: toLang,
+    });
+    this.SetGlossary(fromLang, toLang, glossary);
+    return glossary.size;
+  }
+
+  // 合并全局术语表和本次调用的术语表，本次调用的条目优先
+  static resolveGlossary(fromLang, toLang, options) {
+    const glossary = (
+      this.GetGlossary(fromLang, toLang) || new Glossary()
+    ).merge(options.glossary);
+    return glossary.size > 0 ? glossary : null;
+  }
+
   static models = null;
 
   // 修改loadModels方法
@@ -533,82 +1856,688 @@ class Translator {
     }
   }
 
-  static async DetectLang(text) {
-    try {
-      // 确保输入是字符串
-      if (typeof text !== "string" || !text.trim()) {
-        return "en"; // 如果输入无效或为空，默认返回英语
+  // 检测文本的语言，只考虑翻译模型支持的语言，返回模型使用的语言代码
+  // 只检测前 options.maxLength 个字符（默认 Config.DETECT_LENGTH）
+  // 检测失败或主要语言的概率低于 options.minConfidence（默认为 0）时结果不可信：
+  // options.onLowConfidence 为 fallback（默认）时返回 options.fallback（默认为 en），为 throw 时抛出 LanguageDetectionError；
+  // 文本为空时总是返回 options.fallback
+  // options.detailed 为 true 时返回包含概率、reliable 和前 options.topK 个候选语言的检测结果
+  static async DetectLang(text, options) {
+    const detectOptions = normalizeDetectOptions(options);
+    const isEmpty = typeof text !== "string" || !text.trim();
+    const result = isEmpty
+      ? null
+      : await LanguageDetector.detect(
+          text.substring(0, detectOptions.maxLength),
+          { topK: detectOptions.topK, supportedOnly: true }
+        );
+    return this.resolveDetection(result, detectOptions);
+  }
+
+  // 按 DetectLang 的选项处理检测结果，result 为 null 表示文本为空
+  static resolveDetection(result, options) {
+    const { minConfidence, fallback, onLowConfidence, detailed } = options;
+    const confident =
+      result && result.language !== "un" && result.probability >= minConfidence;
+
+    if (!confident) {
+      if (result && onLowConfidence === "throw") {
+        throw new LanguageDetectionError(
+          `Language detection is not confident: ${result.language} (${result.probability.toFixed(2)})`,
+          result
+        );
       }
+      result = {
+        language: fallback,
+        probability: 0,
+        reliable: false,
+        candidates: result?.candidates ?? [],
+      };
+    }
+    return detailed ? result : result.language;
+  }
+
+  // 翻译，text 可以是单个文本，也可以是文本数组
+  // 如果 text 是数组，则返回数组，否则返回单个文本
+  // 如果 text 是数组且 fromLang 为 auto，则全部文本的原语言会使用第一个文本检测出来的语言；
+  // detect 为 each 时逐个检测，按检测出来的语言分组后分别交给对应的引擎翻译，
+  // 每个结果为 { text, from }（详细结果同样带有 from），from 为该文本的源语言
+  // 支持两种调用方式：
+  //   Translate(text, fromLang, toLang, isHTML)，第四个参数也可以是选项对象
+  //   Translate(text, { from, to, html, signal, timeoutMs, priority, detect })
+  // signal 被取消时，本次调用尚未翻译的文本会从队列中移除，并以 AbortError 拒绝；超过 timeoutMs 则以 TimeoutError 拒绝
+  static async Translate(text, fromLang, toLang, isHTML = false) {
+    const options = normalizeTranslateOptions(fromLang, toLang, isHTML);
+
+    // 超时通过内部 AbortController 实现，与调用方传入的 signal 合并
+    const { signal, clear } = withTimeout(options.signal, options.timeoutMs);
+    try {
+      return await this.translateTexts(text, { ...options, signal });
+    } finally {
+      clear();
+    }
+  }
+
+  // 流式翻译长文档，返回按顺序输出译文的可读流（对象模式，每个数据块是一个字符串），也可以用 for await 迭代
+  // 文本按段落和句子切分为不超过 options.chunkSize（默认 Config.STREAM_CHUNK_SIZE）个字符的块，
+  // 每个块单独翻译，多个块同时排队以利用全部 worker；段落之间的空行原样保留
+  // 每个块完成后流触发 progress 事件：{ done, total, chars, totalChars, elapsedMs, charsPerSecond }
+  // 流被销毁（如提前退出 for await）或 signal 被取消时，尚未完成的块会从队列中移除
+  static TranslateStream(text, fromLang, toLang, options) {
+    const { chunkSize = Config.STREAM_CHUNK_SIZE, ...rest } =
+      normalizeTranslateOptions(fromLang, toLang, options);
+    if (rest.detailed) {
+      throw new Error("Detailed results are not supported for streaming");
+    }
+    if (rest.format !== "text") {
+      throw new Error("Only plain text is supported for streaming");
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+      throw new Error(`Invalid chunkSize: ${chunkSize}`);
+    }
+
+    const pieces = splitStreamChunks(String(text), chunkSize);
+    const stream = Readable.from(
+      this.streamTranslations(pieces, rest, (progress) =>
+        stream.emit("progress", progress)
+      )
+    );
+    return stream;
+  }
 
-      // 因为只需要输出单一代码，限制检测文本长度，避免处理过大的文本
-      const maxDetectionLength = 64;
-      const textToDetect =
-        text.length > maxDetectionLength
-          ? text.substring(0, maxDetectionLength)
-          : text;
+  // 按顺序生成流式翻译的输出，块之间的空白与其后的译文一起输出
+  static async *streamTranslations(pieces, options, onProgress) {
+    const { from, signal, ...rest } = options;
+    const chunks = pieces.filter((piece) => piece.translate);
+    const total = chunks.length;
+    const totalChars = chunks.reduce((sum, { text }) => sum + text.length, 0);
 
-      // 调用语言检测器
-      const result = await LanguageDetector.detect(textToDetect);
+    // 流结束时取消尚未完成的块，并与调用方传入的 signal 合并
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    if (signal?.aborted) onAbort();
 
-      // 验证检测结果
-      if (!result || !result.language || result.language === "un") {
-        return "en"; // 如果检测失败或不确定，默认返回英语
+    try {
+      throwIfAborted(controller.signal);
+      let sourceLang = from;
+      if (from === "auto" && total > 0) {
+        let sample = "";
+        for (const { text } of chunks) {
+          if (sample.length >= STREAM_DETECT_CHARS) break;
+          sample += text + "\n";
+        }
+        sourceLang = await this.DetectLang(sample, {
+          ...rest.detectOptions,
+          detailed: false,
+        });
       }
 
-      if (Lang.LD.includes(result.language)) {
-        return Lang.LD2M[result.language];
+      // 同时排队的块数，保证每个 worker（包括自动扩容的）都有任务
+      const { max } = this.getWorkerLimits(sourceLang, rest.to);
+      const concurrency = Math.max(1, max) * 2;
+      const translations = [];
+      let started = 0;
+      const startNext = () => {
+        const promise = this.Translate(chunks[started].text, {
+          ...rest,
+          from: sourceLang,
+          signal: controller.signal,
+        });
+        // 先完成的块在轮到它之前失败时，避免产生未处理的 Promise 拒绝
+        promise.catch(() => {});
+        translations.push(promise);
+        started++;
+      };
+
+      const startTime = Date.now();
+      let done = 0;
+      let chars = 0;
+      let output = "";
+      for (const piece of pieces) {
+        if (!piece.translate) {
+          output += piece.text;
+          continue;
+        }
+        while (started < total && started < done + concurrency) {
+          startNext();
+        }
+        output += await translations[done];
+        translations[done] = null;
+        done++;
+        chars += piece.text.length;
+
+        const elapsedMs = Date.now() - startTime;
+        onProgress({
+          done,
+          total,
+          chars,
+          totalChars,
+          elapsedMs,
+          charsPerSecond: elapsedMs > 0 ? (chars * 1000) / elapsedMs : chars,
+        });
+        yield output;
+        output = "";
       }
-      return result.language;
-    } catch (error) {
-      console.error("Language detection failed:", error);
-      return "en"; // 检测失败时默认返回英语
+      if (output) {
+        yield output;
+      }
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      controller.abort();
     }
   }
 
-  // 翻译，text 可以是单个文本，也可以是文本数组
-  // 如果 text 是数组，则返回数组，否则返回单个文本
-  // 如果 text 是数组且 fromLang 为 auto，则全部文本的原语言会使用第一个文本检测出来的语言
-  static async Translate(text, fromLang, toLang, isHTML = false) {
+  // 翻译 SRT 或 WebVTT 字幕文件内容，格式根据内容自动判断
+  // 序号、时间轴、字幕设置和样式标签原样保留；所有字幕作为一个文本数组交给 worker 池分批翻译
+  // 自动检测语言时使用全部字幕文本，而不是第一条字幕
+  static async TranslateSubtitles(content, fromLang, toLang, options) {
+    const { from, ...rest } = normalizeTranslateOptions(
+      fromLang,
+      toLang,
+      options
+    );
+    if (rest.detailed) {
+      throw new Error("Detailed results are not supported for subtitles");
+    }
+
+    const subtitles = new SubtitleDocument(content);
+    if (subtitles.segments.length === 0) {
+      return content;
+    }
+
+    const translated = await this.Translate(subtitles.segments, {
+      ...rest,
+      from:
+        from === "auto"
+          ? await this.DetectLang(subtitles.plainText, {
+              ...rest.detectOptions,
+              detailed: false,
+            })
+          : from,
+      html: true,
+      format: "html",
+    });
+    return subtitles.render(translated);
+  }
+
+  // 翻译国际化资源文件内容，只翻译值，键、注释和顺序保持不变，并保护该格式的插值语法
+  // options.resourceFormat 指定文件格式；options.existing 为已有的目标文件内容，其中已有译文（与原文不同）的条目直接沿用，
+  // .po 文件中已有的非 fuzzy 译文同样沿用；options.force 为 true 时全部重新翻译
+  static async TranslateResource(content, fromLang, toLang, options) {
+    const {
+      from,
+      resourceFormat,
+      existing,
+      force = false,
+      ...rest
+    } = normalizeTranslateOptions(fromLang, toLang, options);
+    if (rest.detailed) {
+      throw new Error("Detailed results are not supported for resource files");
+    }
+
+    const resource = new ResourceFile(content, resourceFormat);
+    const previous =
+      existing && !force
+        ? new ResourceFile(existing, resourceFormat).getTranslations()
+        : new Map();
+
+    const translations = new Map();
+    const pending = { text: [], html: [] };
+    const pendingKeys = new Set();
+    let reused = 0;
+    for (const entry of resource.entries) {
+      if (entry.locale) {
+        translations.set(entry.key, rest.to);
+        continue;
+      }
+      // 目标文件中与原文相同的值视为尚未翻译
+      const translation =
+        previous.get(entry.key) ?? (force ? undefined : entry.translation);
+      if (translation !== undefined && translation !== entry.value) {
+        translations.set(entry.key, translation);
+        reused++;
+      } else if (entry.value.trim() && !pendingKeys.has(entry.key)) {
+        pending[entry.html ? "html" : "text"].push(entry);
+        pendingKeys.add(entry.key);
+      }
+    }
+
+    let sourceLang = from;
+    if (from === "auto" && pendingKeys.size > 0) {
+      sourceLang = await this.DetectLang(
+        [...pending.text, ...pending.html].map(({ value }) => value).join("\n"),
+        { ...rest.detectOptions, detailed: false }
+      );
+    }
+
+    for (const [type, entries] of Object.entries(pending)) {
+      if (entries.length === 0) continue;
+      const translated = await this.Translate(
+        entries.map(({ value }) => value),
+        {
+          ...rest,
+          from: sourceLang,
+          html: type === "html",
+          format: type,
+          protectPatterns: [
+            ...rest.protectPatterns,
+            ...resource.protectPatterns,
+          ],
+        }
+      );
+      entries.forEach(({ key }, i) => translations.set(key, translated[i]));
+    }
+
+    return {
+      content: resource.render(translations),
+      translated: pendingKeys.size,
+      reused,
+    };
+  }
+
+  // 翻译 XLIFF 1.2 或 2.0 文件中尚无译文的单元，译文标记为机器翻译，其余内容原样保留
+  // 未指定语言时使用文件声明的源语言和目标语言，源语言也未声明时根据全部待翻译文本自动检测
+  // 返回的 pairs 为纯文本的原文和译文，可用 ToTMX 导出
+  static async TranslateXliff(content, fromLang, toLang, options) {
+    const { from, to, ...rest } = normalizeTranslateOptions(
+      fromLang,
+      toLang,
+      options
+    );
+    if (rest.detailed) {
+      throw new Error("Detailed results are not supported for XLIFF");
+    }
+
+    const xliff = new XliffDocument(content);
+    const targetLang = to || XliffDocument.toModelLang(xliff.tgtLang);
+    if (!targetLang) {
+      throw new Error("Target language is required for this XLIFF file");
+    }
+    // 未指定源语言时与 "auto" 相同，优先使用文件声明的源语言
+    let sourceLang = from ?? "auto";
+    if (sourceLang === "auto" && xliff.srcLang) {
+      sourceLang = XliffDocument.toModelLang(xliff.srcLang) ?? xliff.srcLang;
+    } else if (sourceLang === "auto" && xliff.segments.length > 0) {
+      sourceLang = await this.DetectLang(xliff.plainText, {
+        ...rest.detectOptions,
+        detailed: false,
+      });
+    }
+
+    const translations =
+      xliff.segments.length > 0
+        ? await this.Translate(xliff.segments, {
+            ...rest,
+            from: sourceLang,
+            to: targetLang,
+            html: true,
+            format: "html",
+          })
+        : [];
+
+    return {
+      content: xliff.render(translations, targetLang),
+      translated: translations.length,
+      from: sourceLang,
+      to: targetLang,
+      pairs: xliff.segments.map((segment, i) => ({
+        source: XliffDocument.toPlainText(segment),
+        target: XliffDocument.toPlainText(translations[i]),
+      })),
+    };
+  }
+
+  // 将原文和译文对生成为 TMX 1.4 文档，用于导出 TranslateXliff 等接口的翻译结果
+  static ToTMX(pairs, fromLang, toLang) {
+    return TranslationMemory.toTMX(pairs, fromLang, toLang);
+  }
+
+  // 检测语言并规范化语言代码后执行翻译
+  static async translateTexts(text, options) {
+    const { from: fromLang, signal, detect } = options;
+    throwIfAborted(signal);
+
     const isTextArray = Array.isArray(text);
-    let texts = isTextArray ? text : [text];
+    const texts = isTextArray ? [...text] : [text];
 
     // 如果文本为空，直接返回
     if (!texts || texts.length < 1) {
       return isTextArray ? [] : "";
     }
 
-    // 转换后的语言代码
-    let _fromLang = fromLang;
-    let _toLang = toLang;
+    // 逐个检测语言，按源语言分组，各组交给对应的引擎翻译后按原顺序合并
+    // 每个结果都带有检测出来的源语言：详细结果中的 from，否则返回 { text, from }
+    if (fromLang === "auto" && detect === "each") {
+      const languages = await this.detectEach(texts, options.detectOptions);
+      throwIfAborted(signal);
+      let results = await this.translateGrouped(texts, languages, options);
+      if (!options.detailed) {
+        results = results.map((result, i) => ({
+          text: result,
+          from: Lang.MALIAS[languages[i]] || languages[i],
+        }));
+      }
+      return isTextArray ? results : results[0];
+    }
+
+    // 检测每个文本中不同语言的片段，只翻译不是目标语言的片段
+    if (fromLang === "auto" && detect === "segments") {
+      const results = await this.translateSegments(texts, options);
+      return isTextArray ? results : results[0];
+    }
 
     // 自动检测语言
+    let _fromLang = fromLang;
     if (fromLang === "auto") {
-      _fromLang = await this.DetectLang(texts[0]);
+      _fromLang = await this.DetectLang(texts[0], {
+        ...options.detectOptions,
+        detailed: false,
+      });
+      throwIfAborted(signal);
+    }
+
+    const results = await this.translateWithLanguage(texts, _fromLang, options);
+
+    // 返回
+    return isTextArray ? results : results[0];
+  }
+
+  // 按源语言分组翻译文本，各组交给对应的引擎，结果按原顺序返回
+  // 不支持的源语言不报错，原样返回文本
+  static async translateGrouped(texts, languages, options) {
+    const groups = new Map();
+    languages.forEach((lang, index) => {
+      if (!groups.has(lang)) {
+        groups.set(lang, []);
+      }
+      groups.get(lang).push(index);
+    });
+
+    const results = new Array(texts.length);
+    await Promise.all(
+      [...groups].map(async ([lang, indexes]) => {
+        const translated = await this.translateWithLanguage(
+          indexes.map((index) => texts[index]),
+          lang,
+          options,
+          true
+        );
+        indexes.forEach((index, i) => {
+          results[index] = translated[i];
+        });
+      })
+    );
+    return results;
+  }
+
+  // 用 LanguageDetector.detectSegments 切分每个文本，目标语言的片段和没有字母的片段原样保留，
+  // 其余片段去掉首尾空白后按语言分组翻译，再按原位置拼接
+  static async translateSegments(texts, options) {
+    const detectOptions = {
+      ...normalizeDetectOptions(options.detectOptions),
+      detailed: false,
+    };
+    const toLang = Lang.MALIAS[options.to] || options.to;
+
+    const segments = [];
+    const languages = [];
+    const documents = [];
+    for (const text of texts) {
+      const spans = await LanguageDetector.detectSegments(text, {
+        supportedOnly: true,
+      });
+      throwIfAborted(options.signal);
+
+      const parts = [];
+      for (const span of spans) {
+        const core = span.text.trim();
+        const lang =
+          span.language === "un" && !/\p{L}/u.test(core)
+            ? null
+            : this.resolveDetection(span, detectOptions);
+        if (!core || !lang || (Lang.MALIAS[lang] || lang) === toLang) {
+          parts.push(span.text);
+          continue;
+        }
+        const leading = /^\s*/.exec(span.text)[0];
+        parts.push({
+          leading,
+          index: segments.length,
+          trailing: span.text.slice(leading.length + core.length),
+        });
+        segments.push(core);
+        languages.push(lang);
+      }
+      documents.push(parts);
     }
 
+    const translated =
+      segments.length > 0
+        ? await this.translateGrouped(segments, languages, options)
+        : [];
+    return documents.map((parts) =>
+      parts
+        .map((part) =>
+          typeof part === "string"
+            ? part
+            : part.leading + translated[part.index] + part.trailing
+        )
+        .join("")
+    );
+  }
+
+  // 逐个检测文本的语言，返回模型使用的语言代码数组
+  static async detectEach(texts, options) {
+    const detectOptions = {
+      ...normalizeDetectOptions(options),
+      detailed: false,
+    };
+    const results = await LanguageDetector.batchDetect(
+      texts.map((text) =>
+        typeof text === "string"
+          ? text.substring(0, detectOptions.maxLength)
+          : ""
+      ),
+      { supportedOnly: true }
+    );
+    return results.map((result, i) =>
+      this.resolveDetection(
+        typeof texts[i] === "string" && texts[i].trim() ? result : null,
+        detectOptions
+      )
+    );
+  }
+
+  // 使用确定的源语言翻译文本数组，检查语言代码并转换别名，源语言与目标语言相同时直接返回原文
+  // 详细结果的 from 为实际使用的源语言
+  // skipUnsupported 为 true 时（逐个检测出的语言可能没有模型），不支持的源语言不报错，原样返回文本
+  static async translateWithLanguage(
+    texts,
+    fromLang,
+    options,
+    skipUnsupported = false
+  ) {
+    const { to: toLang, detailed } = options;
+
     // 检查语言代码是否有效
-    if (!Lang.MALL.includes(_fromLang)) {
+    const unsupported = !Lang.MALL.includes(fromLang);
+    if (unsupported && !skipUnsupported) {
       throw new Error("Invalid from language code");
     }
-    if (!Lang.MALL.includes(_toLang)) {
+    if (!Lang.MALL.includes(toLang)) {
       throw new Error("Invalid to language code");
     }
 
     // 检查语言代码是否为别名
-    const aliasFromLang = Lang.MALIAS[_fromLang];
-    if (aliasFromLang) {
-      _fromLang = aliasFromLang;
+    const _fromLang = Lang.MALIAS[fromLang] || fromLang;
+    const _toLang = Lang.MALIAS[toLang] || toLang;
+
+    // 如果语言相同或没有对应的模型，直接返回
+    if (unsupported || _fromLang === _toLang) {
+      if (detailed) {
+        return texts.map((item) => ({
+          ...createPlainDetailedResult(item, item),
+          from: _fromLang,
+        }));
+      }
+      return texts;
     }
-    const aliasToLang = Lang.MALIAS[_toLang];
-    if (aliasToLang) {
-      _toLang = aliasToLang;
+
+    const results =
+      options.format === "markdown"
+        ? await this.translateMarkdown(texts, _fromLang, _toLang, options)
+        : await this.translateCached(texts, _fromLang, _toLang, options);
+    return detailed
+      ? results.map((result) => ({ ...result, from: _fromLang }))
+      : results;
+  }
+
+  // 解析 Markdown 文档，所有文档的正文片段按 HTML 一起翻译后再生成文档
+  static async translateMarkdown(texts, fromLang, toLang, options) {
+    const documents = texts.map((text) => new MarkdownDocument(text));
+    const segments = documents.flatMap((document) => document.segments);
+    const translated =
+      segments.length > 0
+        ? await this.translateCached(segments, fromLang, toLang, {
+            ...options,
+            html: true,
+          })
+        : [];
+
+    let offset = 0;
+    return documents.map((document) => {
+      const count = document.segments.length;
+      const result = document.render(translated.slice(offset, offset + count));
+      offset += count;
+      return result;
+    });
+  }
+
+  // 先查内存缓存，只翻译未命中的文本，并把新结果写回缓存
+  // 详细结果包含区间信息，不参与缓存
+  static async translateCached(texts, fromLang, toLang, options) {
+    if (options.detailed || !this.#cache.enabled) {
+      return this.translateResolved(texts, fromLang, toLang, options);
     }
 
-    // 如果语言相同，直接返回
-    if (_fromLang === _toLang) {
-      return text;
+    // 全局术语表变化时会清空缓存，只需区分单次调用的选项
+    const variant = getOptionsVariant(options);
+    const results = new Array(texts.length);
+    const keys = new Array(texts.length);
+    const missIndexes = [];
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i];
+      // 空文本不经过引擎，无需缓存
+      if (typeof text === "string" && text.trim()) {
+        keys[i] = getCacheKey(fromLang, toLang, options.html, variant, text);
+        const cached = this.#cache.get(keys[i]);
+        if (cached !== undefined) {
+          results[i] = cached;
+          continue;
+        }
+      }
+      missIndexes.push(i);
+    }
+
+    if (missIndexes.length > 0) {
+      const translated = await this.translateWithMemory(
+        missIndexes.map((index) => texts[index]),
+        fromLang,
+        toLang,
+        options
+      );
+      missIndexes.forEach((index, i) => {
+        results[index] = translated[i];
+        // 引擎失败时的占位译文不缓存，下次重新翻译
+        if (keys[index] && translated[i] !== TRANSLATION_ERROR_TEXT) {
+          this.#cache.set(keys[index], translated[i]);
+        }
+      });
     }
 
+    return results;
+  }
+
+  // 先查持久化翻译记忆库，只翻译未命中的文本，并把新结果写回记忆库
+  // options.tm 为 false 或请求详细结果时跳过记忆库；记忆库读写失败不影响翻译
+  // 包含术语的文本译文取决于当前术语表，不读写记忆库；自定义保护规则时同样跳过
+  static async translateWithMemory(texts, fromLang, toLang, options) {
+    if (
+      options.detailed ||
+      !options.tm ||
+      !options.protect ||
+      options.protectPatterns.length > 0
+    ) {
+      return this.translateResolved(texts, fromLang, toLang, options);
+    }
+
+    const glossary = this.resolveGlossary(fromLang, toLang, options);
+    const memorable = texts.map(
+      (text) =>
+        typeof text === "string" &&
+        !!text.trim() &&
+        !(glossary && glossary.findTerms(text).length > 0)
+    );
+
+    const isHTML = options.html;
+    let remembered;
+    try {
+      remembered = await TranslationMemory.lookup(
+        fromLang,
+        toLang,
+        texts,
+        isHTML
+      );
+    } catch (error) {
+      console.error("Translation memory lookup failed:", error);
+      remembered = new Array(texts.length);
+    }
+
+    const results = new Array(texts.length);
+    const missIndexes = [];
+    for (let i = 0; i < texts.length; i++) {
+      if (memorable[i] && remembered[i] !== undefined) {
+        results[i] = remembered[i];
+      } else {
+        missIndexes.push(i);
+      }
+    }
+
+    if (missIndexes.length > 0) {
+      const translated = await this.translateResolved(
+        missIndexes.map((index) => texts[index]),
+        fromLang,
+        toLang,
+        options
+      );
+
+      const pairs = [];
+      missIndexes.forEach((index, i) => {
+        results[index] = translated[i];
+        if (memorable[index]) {
+          pairs.push({ source: texts[index], target: translated[i] });
+        }
+      });
+
+      try {
+        await TranslationMemory.store(fromLang, toLang, pairs, isHTML);
+      } catch (error) {
+        console.error("Translation memory write failed:", error);
+      }
+    }
+
+    return results;
+  }
+
+  // 使用已规范化的语言代码翻译文本数组，处理简繁转换并调用引擎，返回译文数组
+  // detailed 为 true 时返回详细结果数组，区间相对于结果中的 sourceText 和 text
+  static async translateResolved(texts, fromLang, toLang, options) {
+    const { html: isHTML, signal, priority, detailed, quality } = options;
+    const originalTexts = [...texts];
+    let _fromLang = fromLang;
+    let _toLang = toLang;
+
     // 翻译前后处理
     let needPreProcess = false;
     let preProcessType = null;
@@ -666,6 +2595,11 @@ class Translator {
             return OpenCC.convert(_text, pureCCComplexType2);
           })
         );
+        if (detailed) {
+          return results.map((result, i) =>
+            createPlainDetailedResult(originalTexts[i], result)
+          );
+        }
 
         // 更新翻译计数器
         this.#translationCounter += texts.length;
@@ -699,6 +2633,24 @@ class Translator {
       // 使用引擎管理器获取或创建引擎
       if (_fromLang !== _toLang) {
         engine = await this.Preload(_fromLang, _toLang);
+        throwIfAborted(signal);
+      }
+    }
+
+    // 术语和不应翻译的片段在清理文本和翻译之前替换为占位符，经过 en 中转时占位符同样保留在两段译文中
+    let mask = null;
+    if (!pureCC && _fromLang !== _toLang) {
+      const glossary = this.resolveGlossary(fromLang, toLang, options);
+      const protection = {
+        builtin: options.protect,
+        patterns: options.protectPatterns,
+      };
+      if (glossary || protection.builtin || protection.patterns.length > 0) {
+        mask = new PlaceholderMask(texts, isHTML, (text) => [
+          ...(glossary ? glossary.findTerms(text) : []),
+          ...PlaceholderMask.findProtectedSpans(text, protection),
+        ]);
+        texts = mask.texts;
       }
     }
 
@@ -710,12 +2662,39 @@ class Translator {
     }
     // 翻译，自带了批量翻译和单文本翻译
     if (!pureCC && _fromLang !== _toLang) {
-      texts = await engine.translate(texts, isHTML);
+      const engineOptions = { signal, priority, detailed, quality };
+      texts = mask
+        ? await this.translateMasked(engine, mask, texts, engineOptions)
+        : await engine.translate(texts, isHTML, engineOptions);
+    } else if (detailed) {
+      texts = texts.map((item, i) =>
+        createPlainDetailedResult(originalTexts[i], item)
+      );
     }
     // 后处理
     if (needPostProcess) {
       for (let i = 0; i < texts.length; i++) {
-        texts[i] = await OpenCC.convert(texts[i], postProcessType);
+        texts[i] = detailed
+          ? await convertDetailedResult(texts[i], postProcessType)
+          : await OpenCC.convert(texts[i], postProcessType);
+      }
+    }
+    // 还原占位符，术语译文在简繁转换之后写入，保持术语表中的原样
+    if (mask && mask.active) {
+      texts = texts.map((item, i) =>
+        restorePlaceholders(mask, item, i, {
+          detailed,
+          onMissingPlaceholders: options.onMissingPlaceholders,
+          sourceTexts: originalTexts,
+        })
+      );
+    }
+    // 源文本经过简繁转换时，区间仍对应转换后的文本；长度一致时换回原文，区间依然有效
+    if (detailed && needPreProcess) {
+      for (let i = 0; i < texts.length; i++) {
+        if (texts[i].sourceText.length === originalTexts[i].length) {
+          texts[i] = { ...texts[i], sourceText: originalTexts[i] };
+        }
       }
     }
 
@@ -732,8 +2711,35 @@ class Translator {
       this.#translationCounter = 0; // 重置计数器
     }
 
-    // 返回
-    return isTextArray ? texts : texts[0];
+    return texts;
+  }
+
+  // 翻译替换过占位符的文本，按每个文本需要的模式分组调用引擎：
+  // 含占位符的纯文本按 HTML 翻译，其余文本保持原来的模式，不会因为同一批中的其他文本而被转义
+  static async translateMasked(engine, mask, texts, options) {
+    const groups = new Map();
+    mask.htmlModes.forEach((isHTML, index) => {
+      if (!groups.has(isHTML)) groups.set(isHTML, []);
+      groups.get(isHTML).push(index);
+    });
+    if (groups.size === 1) {
+      return engine.translate(texts, mask.htmlModes[0], options);
+    }
+
+    const results = new Array(texts.length);
+    await Promise.all(
+      Array.from(groups, async ([isHTML, indexes]) => {
+        const translated = await engine.translate(
+          indexes.map((index) => texts[index]),
+          isHTML,
+          options
+        );
+        indexes.forEach((index, i) => {
+          results[index] = translated[i];
+        });
+      })
+    );
+    return results;
   }
 }
 
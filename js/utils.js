@@ -1,3 +1,6 @@
+// 翻译引擎读取单个结果失败时返回的占位译文，不能写入缓存或翻译记忆库
+const TRANSLATION_ERROR_TEXT = "[Translation error]";
+
 // 缓存 GC 可用性检查结果，避免重复检查
 const isGCAvailable = typeof global.gc === "function";
 
@@ -17,7 +20,169 @@ function gc(force = false) {
   }
 }
 
+/**
+ * 操作被 AbortSignal 取消时抛出的错误，与 Node.js 内置 API 抛出的 AbortError 保持一致
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} [message] - 错误信息
+   * @param {{ cause?: any }} [options] - 错误选项，cause 为 signal.reason
+   */
+  constructor(message = "The operation was aborted", options = undefined) {
+    super(message, options);
+    this.name = "AbortError";
+    this.code = "ABORT_ERR";
+  }
+}
+
+/**
+ * 操作超时时抛出的错误
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} [message] - 错误信息
+   */
+  constructor(message = "The operation timed out") {
+    super(message);
+    this.name = "TimeoutError";
+    this.code = "ETIMEDOUT";
+  }
+}
+
+/**
+ * 自动检测语言失败或结果不可信，且调用方要求抛出错误时抛出的错误
+ */
+class LanguageDetectionError extends Error {
+  /**
+   * @param {string} [message] - 错误信息
+   * @param {Object} [detection] - 检测结果
+   */
+  constructor(message = "Language detection is not confident", detection) {
+    super(message);
+    this.name = "LanguageDetectionError";
+    this.code = "ELOWCONFIDENCE";
+    this.detection = detection;
+  }
+}
+
+/**
+ * 语言对的worker反复崩溃、熔断器打开期间请求该语言对时抛出的错误
+ */
+class EngineUnavailableError extends Error {
+  /**
+   * @param {string} [message] - 错误信息
+   * @param {{ cause?: any }} [options] - 错误选项，cause 为最后一次崩溃的错误
+   */
+  constructor(
+    message = "Translation engine is unavailable",
+    options = undefined
+  ) {
+    super(message, options);
+    this.name = "EngineUnavailableError";
+    this.code = "EUNAVAILABLE";
+  }
+}
+
+/**
+ * 获取 signal 被取消时应抛出的错误：超时返回 TimeoutError，其他情况返回 AbortError
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function getAbortError(signal) {
+  if (signal.reason instanceof TimeoutError) {
+    return signal.reason;
+  }
+  return new AbortError(undefined, { cause: signal.reason });
+}
+
+/**
+ * 如果 signal 已被取消，抛出 AbortError 或 TimeoutError
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw getAbortError(signal);
+  }
+}
+
+/**
+ * 创建一个在超时或外部 signal 被取消时都会被取消的 signal
+ * @param {AbortSignal} [signal] - 外部传入的 signal
+ * @param {number} [timeoutMs] - 超时时间（毫秒），0 表示不超时
+ * @returns {{ signal: AbortSignal|undefined, clear: () => void }} clear 用于在操作结束后清理计时器和监听器
+ */
+function withTimeout(signal, timeoutMs) {
+  if (!timeoutMs) {
+    return { signal, clear: () => {} };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(
+      new TimeoutError(`The operation timed out after ${timeoutMs}ms`)
+    );
+  }, timeoutMs);
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+const XML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+/**
+ * 转义 XML 特殊字符，可用于元素内容和属性值
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+/**
+ * 还原 XML 实体，支持预定义实体和数字字符引用
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text.replace(
+    /&(?:#x([0-9a-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g,
+    (match, hex, dec, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (dec) return String.fromCodePoint(parseInt(dec, 10));
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name];
+    }
+  );
+}
+
 module.exports = {
   gc,
   isGCAvailable,
+  TRANSLATION_ERROR_TEXT,
+  AbortError,
+  TimeoutError,
+  LanguageDetectionError,
+  EngineUnavailableError,
+  getAbortError,
+  throwIfAborted,
+  withTimeout,
+  escapeXml,
+  unescapeXml,
 };
@@ -7,6 +7,7 @@ const { parentPort } = require("worker_threads");
 const { performance } = require("perf_hooks");
 const { Engine, CleanText, InitWasm } = require("./engine");
 const { MESSAGE_TYPES } = require("./message");
+const WorkQueue = require("./queue");
 const Config = require("./config")
 
 function log(...args) {
@@ -75,6 +76,55 @@ async function handleInitializationMessage(data) {
   }
 }
 
+/**
+ * 为详细翻译结果恢复前后空白，并同步平移所有区间
+ *
+ * @param {Object|string} result 引擎返回的详细结果，空文本或单条翻译出错时为字符串
+ * @param {{whitespaceBefore: string, whitespaceAfter: string, cleanedSourceText: string}} cleaned CleanText 的结果
+ * @returns {Object}
+ */
+function restoreDetailedWhitespace(result, cleaned) {
+  const { whitespaceBefore, whitespaceAfter, cleanedSourceText } = cleaned;
+
+  if (typeof result === "string") {
+    return {
+      text: whitespaceBefore + result + whitespaceAfter,
+      sourceText: whitespaceBefore + cleanedSourceText + whitespaceAfter,
+      sourceSentences: [],
+      targetSentences: [],
+      alignments: null,
+      qualityScores: null,
+    };
+  }
+
+  const offset = whitespaceBefore.length;
+  const shift = ({ start, end }) => ({
+    start: start + offset,
+    end: end + offset,
+  });
+
+  return {
+    ...result,
+    text: whitespaceBefore + result.text + whitespaceAfter,
+    sourceText: whitespaceBefore + result.sourceText + whitespaceAfter,
+    sourceSentences: result.sourceSentences.map(shift),
+    targetSentences: result.targetSentences.map(shift),
+    alignments:
+      result.alignments &&
+      result.alignments.map((alignment) => ({
+        ...alignment,
+        source: shift(alignment.source),
+        target: shift(alignment.target),
+      })),
+    qualityScores:
+      result.qualityScores &&
+      result.qualityScores.map((sentence) => ({
+        ...sentence,
+        words: sentence.words.map((word) => ({ ...word, ...shift(word) })),
+      })),
+  };
+}
+
 /**
  * 处理来自主线程的消息
  */
@@ -91,36 +141,84 @@ function handleMessages(engine) {
 
       switch (data.type) {
         case MESSAGE_TYPES.TRANSLATION_REQUEST.type: {
-          const { sourceText, messageId, translationId, isHTML } = data;
+          const {
+            sourceTexts,
+            messageId,
+            translationId,
+            isHTML,
+            priority,
+            detailed,
+            quality,
+          } = data;
 
           try {
-            // 清理文本
-            const { whitespaceBefore, whitespaceAfter, cleanedSourceText } =
-              CleanText(engine.sourceLanguage, sourceText);
+            // 清理文本，保留前后空白以便恢复
+            const cleanedTexts = sourceTexts.map((sourceText) =>
+              CleanText(engine.sourceLanguage, sourceText)
+            );
+
+            // 只把清理后非空的文本送入引擎，保证引擎结果与输入一一对应
+            const engineInputs = cleanedTexts
+              .map(({ cleanedSourceText }) => cleanedSourceText)
+              .filter((cleanedSourceText) => cleanedSourceText.length > 0);
 
             // 添加到工作队列
             const startTime = performance.now();
 
-            // 执行翻译
-            const result = await workQueue.runTask(translationId, async () => {
-              return engine.translate([cleanedSourceText], isHTML);
-            });
+            // 整个批次一次性交给引擎翻译
+            const results =
+              engineInputs.length > 0
+                ? await workQueue.runTask(
+                    translationId,
+                    async () => {
+                      // 引擎翻译期间事件循环被阻塞，先通知主线程按批次开始时间判断是否卡住
+                      parentPort.postMessage({
+                        type: MESSAGE_TYPES.TRANSLATION_STARTED.type,
+                        messageId,
+                      });
+                      return engine.translate(engineInputs, isHTML, {
+                        detailed,
+                        quality,
+                      });
+                    },
+                    priority
+                  )
+                : [];
 
             const endTime = performance.now();
             const inferenceMilliseconds = endTime - startTime;
 
-            // 恢复空白
-            const targetText = whitespaceBefore + result[0] + whitespaceAfter;
+            // 恢复空白，空文本原样返回
+            let resultIndex = 0;
+            const targetTexts = cleanedTexts.map(
+              ({ whitespaceBefore, whitespaceAfter, cleanedSourceText }) => {
+                const translatedText = cleanedSourceText
+                  ? results[resultIndex++]
+                  : "";
+                if (detailed) {
+                  return restoreDetailedWhitespace(translatedText, {
+                    whitespaceBefore,
+                    whitespaceAfter,
+                    cleanedSourceText,
+                  });
+                }
+                return whitespaceBefore + translatedText + whitespaceAfter;
+              }
+            );
 
             // 返回结果
             parentPort.postMessage({
               type: MESSAGE_TYPES.TRANSLATION_RESPONSE.type,
-              targetText,
+              targetTexts,
               inferenceMilliseconds,
               translationId,
               messageId,
             });
           } catch (error) {
+            // 被取消的任务，主线程已不再等待其结果
+            if (error?.name === "AbortError") {
+              break;
+            }
             console.error("Translation error:", error);
             parentPort.postMessage({
               type: MESSAGE_TYPES.TRANSLATION_ERROR.type,
@@ -144,7 +242,19 @@ function handleMessages(engine) {
         case MESSAGE_TYPES.CANCEL_SINGLE_TRANSLATION.type: {
           const { translationId } = data;
           log(`Cancelling translation ${translationId}`);
-          workQueue.cancelTask(translationId);
+          // 只有任务尚未开始时才确认，已经开始的任务会照常返回结果
+          if (workQueue.cancelTask(translationId)) {
+            parentPort.postMessage({
+              type: MESSAGE_TYPES.TRANSLATION_CANCELLED.type,
+              translationId,
+            });
+          }
+          break;
+        }
+
+        case MESSAGE_TYPES.HEALTH_CHECK.type: {
+          // 引擎卡住时无法回复，主线程据此判断工作线程是否需要重启
+          parentPort.postMessage(MESSAGE_TYPES.HEALTH_STATUS);
           break;
         }
 
@@ -157,135 +267,6 @@ function handleMessages(engine) {
   });
 }
 
-/**
- * 工作队列类，用于管理翻译任务
- */
-class WorkQueue {
-  // 时间预算（毫秒）
-  #TIME_BUDGET = 100;
-  // 立即运行的任务数
-  #RUN_IMMEDIATELY_COUNT = 20;
-
-  /**
-   * 任务队列
-   * @type {Map<number, {task: Function, resolve: Function, reject: Function}>}
-   */
-  #tasksByTranslationId = new Map();
-
-  #isRunning = false;
-  #isWorkCancelled = false;
-  #runImmediately = this.#RUN_IMMEDIATELY_COUNT;
-  #taskBatchSize = 5; // 批处理大小
-
-  /**
-   * 运行任务并返回结果
-   * @template T
-   * @param {number} translationId 翻译ID
-   * @param {() => T} task 任务函数
-   * @returns {Promise<T>} 任务结果
-   */
-  runTask(translationId, task) {
-    if (this.#runImmediately > 0) {
-      // 前N个任务立即运行
-      this.#runImmediately--;
-      return Promise.resolve(task());
-    }
-
-    return new Promise((resolve, reject) => {
-      this.#tasksByTranslationId.set(translationId, { task, resolve, reject });
-      this.#run().catch((error) => console.error(error));
-    });
-  }
-
-  /**
-   * 取消特定任务
-   * @param {number} translationId 翻译ID
-   */
-  cancelTask(translationId) {
-    this.#tasksByTranslationId.delete(translationId);
-  }
-
-  /**
-   * 内部运行函数
-   */
-  async #run() {
-    if (this.#isRunning) {
-      return;
-    }
-
-    this.#isRunning = true;
-
-    let lastTimeout = null;
-    let tasksInBatch = 0;
-    let batchCount = 0;
-
-    while (this.#tasksByTranslationId.size) {
-      if (this.#isWorkCancelled) {
-        break;
-      }
-
-      const now = performance.now();
-
-      if (lastTimeout === null) {
-        lastTimeout = now;
-        // 让其他工作进入队列
-        await new Promise((resolve) => setTimeout(resolve, 0));
-      } else if (
-        now - lastTimeout > this.#TIME_BUDGET ||
-        batchCount >= this.#taskBatchSize
-      ) {
-        // 无等待超时，清除当前事件循环中的promise队列
-        await new Promise((resolve) => setTimeout(resolve, 0));
-        log(`Processed ${tasksInBatch} tasks in batch`);
-        lastTimeout = performance.now();
-        batchCount = 0;
-      }
-
-      // 每个await之间检查
-      if (this.#isWorkCancelled || !this.#tasksByTranslationId.size) {
-        break;
-      }
-
-      tasksInBatch++;
-      batchCount++;
-
-      // 将Map作为FIFO队列处理，取出最早的项目
-      const [translationId, taskAndResolvers] = this.#tasksByTranslationId
-        .entries()
-        .next().value;
-      const { task, resolve, reject } = taskAndResolvers;
-      this.#tasksByTranslationId.delete(translationId);
-
-      try {
-        const result = await task();
-
-        // 每个await之间检查
-        if (this.#isWorkCancelled) {
-          break;
-        }
-
-        // 工作完成，解析原始任务
-        resolve(result);
-      } catch (error) {
-        reject(error);
-      }
-    }
-
-    log(`Finished processing ${tasksInBatch} tasks`);
-    this.#isRunning = false;
-  }
-
-  /**
-   * 取消所有工作
-   */
-  async cancelWork() {
-    this.#isWorkCancelled = true;
-    this.#tasksByTranslationId.clear(); // 使用clear()代替重新分配
-    await new Promise((resolve) => setTimeout(resolve, 0));
-    this.#isWorkCancelled = false;
-  }
-}
-
 // 监听主线程的初始化消息
 parentPort.on("message", (data) => {
   if (data.type === MESSAGE_TYPES.INIT_REQUEST.type) {
@@ -0,0 +1,403 @@
+"use strict";
+
+// XLIFF 1.2 和 2.0 文件翻译
+// 只翻译尚无译文的 trans-unit（1.2）或 segment（2.0），译文写入 <target> 并标记为机器翻译，文件其余部分原样保留。
+// 行内标记（<g>、<x/>、<ph>、<pc>、<sc/> 等）转换为 HTML 标签，借助 Bergamot 的 HTML 模式随译文移动
+
+const Lang = require("./lang");
+const { unescapeXml } = require("./utils");
+
+// 源文中的行内内容：CDATA、注释和标签
+const INLINE_REGEX =
+  /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<(\/?)([\w:.-]+)\b[^>]*?(\/?)>/g;
+// 引擎返回的 HTML 中的标签
+const OUTPUT_TAG_REGEX = /<(\/?)([A-Za-z][\w-]*)([^>]*)>/g;
+const DATA_XLF_REGEX = /\bdata-xlf="(\d+)"/;
+// 内容为原始格式代码的 XLIFF 1.2 行内元素，连同内容整体保留
+const NATIVE_CODE_ELEMENTS = new Set(["ph", "bpt", "ept", "it"]);
+// XLIFF 1.2 中表示尚未翻译的状态
+const UNTRANSLATED_STATES = ["new", "needs-translation"];
+
+// 转义元素内容中的文本，引号不需要转义
+function escapeText(text) {
+  return text.replace(
+    /[&<>]/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[char]
+  );
+}
+
+function getAttribute(attrs, name) {
+  return new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`).exec(attrs)?.[2];
+}
+
+// 设置开始标签的属性，已有时替换，否则添加到标签末尾
+function setAttribute(tag, name, value) {
+  const regex = new RegExp(`(\\s${name}\\s*=\\s*)(["']).*?\\2`);
+  const quoted = `"${escapeText(value).replace(/"/g, "&quot;")}"`;
+  if (regex.test(tag)) {
+    return tag.replace(regex, (match, prefix) => prefix + quoted);
+  }
+  return tag.replace(/\s*(\/?>)$/, ` ${name}=${quoted}$1`);
+}
+
+// 元素前的换行和缩进，插入同级元素时使用
+function getIndent(text) {
+  return /(?:\r?\n[ \t]*)?$/.exec(text)[0];
+}
+
+/**
+ * 解析后的 XLIFF 文件
+ */
+class XliffDocument {
+  /**
+   * 需要替换的位置，渲染时用译文生成替换内容
+   * @type {Array<{start: number, end: number, render: (translations: string[], targetLang: string) => string}>}
+   */
+  #edits = [];
+  /**
+   * 行内标记的原始文本，下标即 data-xlf 编号
+   * @type {Array<{open: string, close: string, void?: boolean}>}
+   */
+  #tokens = [];
+  #content;
+
+  /**
+   * @param {string} content XLIFF 文件内容
+   */
+  constructor(content) {
+    this.#content = content;
+    const root = /<xliff\b([^>]*)>/.exec(content);
+    if (!root) {
+      throw new Error("Invalid XLIFF: missing <xliff> element");
+    }
+    const version = getAttribute(root[1], "version") || "1.2";
+    /**
+     * XLIFF 主版本，1 表示 1.2，2 表示 2.x
+     * @type {1|2}
+     */
+    this.version = version.startsWith("1") ? 1 : 2;
+    /**
+     * 需要翻译的源文，已转换为 HTML
+     * @type {string[]}
+     */
+    this.segments = [];
+
+    if (this.version === 1) {
+      this.#parseVersion1(content);
+    } else {
+      this.#parseVersion2(content, root);
+    }
+  }
+
+  /**
+   * 将 XLIFF 中的语言代码（如 en-US、zh-TW、pt_BR）转换为模型支持的语言代码
+   * @param {string} code 语言代码
+   * @returns {string|undefined} 不支持时返回 undefined
+   */
+  static toModelLang(code) {
+    if (!code) return undefined;
+    const normalized = code.replace(/_/g, "-").toLowerCase();
+    const exact = Lang.MALL.find((lang) => lang.toLowerCase() === normalized);
+    if (exact) return exact;
+
+    const [primary, ...subtags] = normalized.split("-");
+    if (primary === "zh") {
+      if (subtags.includes("hk") || subtags.includes("mo")) return "zh-HK";
+      if (subtags.includes("tw")) return "zh-TW";
+      return subtags.includes("hant") ? "zh-Hant" : "zh-Hans";
+    }
+    return Lang.MALL.find((lang) => lang === primary);
+  }
+
+  /**
+   * 去掉 HTML 标签并还原实体，得到片段的纯文本
+   * @param {string} html 片段
+   * @returns {string}
+   */
+  static toPlainText(html) {
+    return unescapeXml(html.replace(/<[^>]*>/g, "")).trim();
+  }
+
+  /**
+   * 需要翻译的源文的纯文本，用于检测语言
+   * @returns {string}
+   */
+  get plainText() {
+    return this.segments
+      .map((segment) => XliffDocument.toPlainText(segment))
+      .join("\n");
+  }
+
+  /**
+   * 用译文生成 XLIFF 文件
+   * @param {string[]} translations 与 segments 一一对应的译文
+   * @param {string} targetLang 文件未声明目标语言时写入的语言代码
+   * @returns {string}
+   */
+  render(translations, targetLang) {
+    let output = "";
+    let last = 0;
+    for (const edit of [...this.#edits].sort((a, b) => a.start - b.start)) {
+      output += this.#content.slice(last, edit.start);
+      output += edit.render(translations, targetLang);
+      last = edit.end;
+    }
+    return output + this.#content.slice(last);
+  }
+
+  // 文件开始标签缺少目标语言时，渲染时补上
+  #requireAttribute(start, tag, name) {
+    if (getAttribute(tag, name) !== undefined) return;
+    this.#edits.push({
+      start,
+      end: start + tag.length,
+      render: (translations, targetLang) => setAttribute(tag, name, targetLang),
+    });
+  }
+
+  /**
+   * 记录一个需要翻译的源文，返回其编号；源文为空时返回 -1
+   * @param {string} source 源文的 XML 内容
+   * @returns {number}
+   */
+  #addSegment(source) {
+    if (!XliffDocument.toPlainText(source)) return -1;
+    this.segments.push(this.#encodeInline(source));
+    return this.segments.length - 1;
+  }
+
+  // 译文转换回 XML，并保留源文首尾的空白
+  #renderTarget(translations, segment, source) {
+    const leading = /^\s*/.exec(source)[0];
+    const trailing = /\s*$/.exec(source)[0];
+    return leading + this.#decodeInline(translations[segment]) + trailing;
+  }
+
+  // XLIFF 1.2：<file> 声明语言，<trans-unit> 包含 <source>、可选的 <seg-source> 和 <target>
+  #parseVersion1(content) {
+    const files = [...content.matchAll(/<file\b[^>]*>/g)];
+    /**
+     * 源语言代码，取自第一个 <file> 的 source-language
+     * @type {string|undefined}
+     */
+    this.srcLang = files[0] && getAttribute(files[0][0], "source-language");
+    /**
+     * 目标语言代码，取自第一个 <file> 的 target-language
+     * @type {string|undefined}
+     */
+    this.tgtLang = files[0] && getAttribute(files[0][0], "target-language");
+    for (const file of files) {
+      this.#requireAttribute(file.index, file[0], "target-language");
+    }
+
+    for (const unit of content.matchAll(
+      /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g
+    )) {
+      const [, attrs, body] = unit;
+      if (getAttribute(attrs, "translate") === "no") continue;
+      const bodyStart = unit.index + unit[0].indexOf(">") + 1;
+      // <alt-trans> 中的 <source> 和 <target> 是候选译文，不属于本单元
+      const altIndex = body.search(/<alt-trans\b/);
+      this.#addUnit(
+        altIndex < 0 ? body : body.slice(0, altIndex),
+        bodyStart,
+        (tag) =>
+          setAttribute(
+            setAttribute(tag, "state", "translated"),
+            "state-qualifier",
+            "mt-suggestion"
+          ),
+        (attrs) =>
+          UNTRANSLATED_STATES.includes(getAttribute(attrs, "state") ?? "")
+      );
+    }
+  }
+
+  // XLIFF 2.x：<xliff> 声明语言，<unit> 中的每个 <segment> 包含 <source> 和可选的 <target>
+  #parseVersion2(content, root) {
+    /**
+     * 源语言代码，取自 <xliff> 的 srcLang
+     * @type {string|undefined}
+     */
+    this.srcLang = getAttribute(root[1], "srcLang");
+    /**
+     * 目标语言代码，取自 <xliff> 的 trgLang
+     * @type {string|undefined}
+     */
+    this.tgtLang = getAttribute(root[1], "trgLang");
+    this.#requireAttribute(root.index, root[0], "trgLang");
+
+    for (const unit of content.matchAll(/<unit\b([^>]*)>([\s\S]*?)<\/unit>/g)) {
+      if (getAttribute(unit[1], "translate") === "no") continue;
+      const unitStart = unit.index + unit[0].indexOf(">") + 1;
+      for (const segment of unit[2].matchAll(
+        /<segment\b([^>]*?)(?<!\/)>([\s\S]*?)<\/segment>/g
+      )) {
+        const segmentStart = unitStart + segment.index;
+        const tag = segment[0].slice(0, segment[0].indexOf(">") + 1);
+        const added = this.#addUnit(
+          segment[2],
+          segmentStart + tag.length,
+          (targetTag) => targetTag,
+          () => false
+        );
+        if (added) {
+          this.#edits.push({
+            start: segmentStart,
+            end: segmentStart + tag.length,
+            render: () =>
+              setAttribute(
+                setAttribute(tag, "state", "translated"),
+                "subState",
+                "mtrancore:mt"
+              ),
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * 处理包含 <source> 和 <target> 的元素内容，目标为空或状态为未翻译时记录翻译位置
+   * @param {string} body 元素内容
+   * @param {number} offset 内容在文件中的起始位置
+   * @param {(tag: string) => string} markTarget 为 <target> 开始标签添加机器翻译状态
+   * @param {(attrs: string) => boolean} isUntranslated 已有 <target> 的属性是否表示尚未翻译
+   * @returns {boolean} 是否需要翻译
+   */
+  #addUnit(body, offset, markTarget, isUntranslated) {
+    const source = /<source\b[^>]*>([\s\S]*?)<\/source>/.exec(body);
+    if (!source) return false;
+    const target = /<target\b([^>]*?)(?:\/>|>([\s\S]*?)<\/target>)/.exec(body);
+    if (target && target[2]?.trim() && !isUntranslated(target[1])) {
+      return false;
+    }
+
+    const segment = this.#addSegment(source[1]);
+    if (segment < 0) return false;
+    const text = (translations) =>
+      this.#renderTarget(translations, segment, source[1]);
+
+    if (target) {
+      const tag = `<target${target[1]}>`;
+      this.#edits.push({
+        start: offset + target.index,
+        end: offset + target.index + target[0].length,
+        render: (translations) =>
+          `${markTarget(tag)}${text(translations)}</target>`,
+      });
+    } else {
+      // 新的 <target> 放在 <source> 或 <seg-source> 之后，使用与 <source> 相同的缩进
+      const segSource = /<seg-source\b[\s\S]*?<\/seg-source>/.exec(body);
+      const after = segSource || source;
+      const position = offset + after.index + after[0].length;
+      const indent = getIndent(body.slice(0, source.index));
+      this.#edits.push({
+        start: position,
+        end: position,
+        render: (translations) =>
+          `${indent}${markTarget("<target>")}${text(translations)}</target>`,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * 源文的 XML 内容转换为 HTML：成对的行内元素转换为带编号的 <span>，
+   * 空元素、原始格式代码元素和注释转换为带编号的空元素
+   * @param {string} xml 源文
+   * @returns {string}
+   */
+  #encodeInline(xml) {
+    const stack = [];
+    const addVoid = (raw) => {
+      this.#tokens.push({ open: raw, close: "", void: true });
+      return `<img data-xlf="${this.#tokens.length - 1}">`;
+    };
+
+    let html = "";
+    let last = 0;
+    let match;
+    INLINE_REGEX.lastIndex = 0;
+    while ((match = INLINE_REGEX.exec(xml))) {
+      html += xml.slice(last, match.index);
+      const [raw, cdata, slash, name, selfClosing] = match;
+      const localName = name?.split(":").pop();
+      if (cdata !== undefined) {
+        html += escapeText(cdata);
+      } else if (!name || selfClosing) {
+        html += addVoid(raw);
+      } else if (slash) {
+        if (stack.length === 0) {
+          html += addVoid(raw);
+        } else {
+          stack.pop().close = raw;
+          html += "</span>";
+        }
+      } else if (NATIVE_CODE_ELEMENTS.has(localName)) {
+        const close = xml.indexOf(`</${name}>`, INLINE_REGEX.lastIndex);
+        const end =
+          close < 0 ? INLINE_REGEX.lastIndex : close + name.length + 3;
+        html += addVoid(xml.slice(match.index, end));
+        INLINE_REGEX.lastIndex = end;
+      } else {
+        const token = { open: raw, close: "" };
+        this.#tokens.push(token);
+        stack.push(token);
+        html += `<span data-xlf="${this.#tokens.length - 1}">`;
+      }
+      last = INLINE_REGEX.lastIndex;
+    }
+
+    return html + xml.slice(last) + "</span>".repeat(stack.length);
+  }
+
+  /**
+   * 引擎返回的 HTML 转换回 XML，行内元素两侧的空白移到元素外面
+   * @param {string} html 译文
+   * @returns {string}
+   */
+  #decodeInline(html) {
+    const root = { content: "" };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    const text = (segment) => escapeText(unescapeXml(segment));
+
+    const closeFrame = () => {
+      const { token, content } = stack.pop();
+      const leading = /^\s*/.exec(content)[0];
+      const trailing =
+        content.length > leading.length ? /\s*$/.exec(content)[0] : "";
+      const core = content.slice(
+        leading.length,
+        content.length - trailing.length
+      );
+      top().content += leading + token.open + core + token.close + trailing;
+    };
+
+    let last = 0;
+    for (const match of html.matchAll(OUTPUT_TAG_REGEX)) {
+      top().content += text(html.slice(last, match.index));
+      last = match.index + match[0].length;
+
+      const [, slash, , attrs] = match;
+      const id = DATA_XLF_REGEX.exec(attrs)?.[1];
+      const token = id !== undefined ? this.#tokens[Number(id)] : undefined;
+      if (slash) {
+        if (stack.length > 1) closeFrame();
+      } else if (token && token.void) {
+        top().content += token.open;
+      } else if (token) {
+        stack.push({ token, content: "" });
+      }
+    }
+    top().content += text(html.slice(last));
+
+    while (stack.length > 1) {
+      closeFrame();
+    }
+    return root.content.trim();
+  }
+}
+
+module.exports = XliffDocument;
@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const LRUCache = require("../js/cache");
+
+test("maxEntries 为 0 时禁用缓存", () => {
+  const cache = new LRUCache({ maxEntries: 0 });
+  cache.set("a", "A");
+  assert.strictEqual(cache.enabled, false);
+  assert.strictEqual(cache.get("a"), undefined);
+  assert.strictEqual(cache.stats().entries, 0);
+});
+
+test("超出条目数时淘汰最久未使用的条目", () => {
+  const cache = new LRUCache({ maxEntries: 2 });
+  cache.set("a", "A");
+  cache.set("b", "B");
+  // 读取 a 后 b 成为最久未使用的条目
+  assert.strictEqual(cache.get("a"), "A");
+  cache.set("c", "C");
+
+  assert.strictEqual(cache.get("b"), undefined);
+  assert.strictEqual(cache.get("a"), "A");
+  assert.strictEqual(cache.get("c"), "C");
+});
+
+test("超出字节数时淘汰条目，并正确统计字节", () => {
+  // 每个条目的键和值各一个字符，共 4 字节
+  const cache = new LRUCache({ maxEntries: 100, maxBytes: 8 });
+  cache.set("a", "A");
+  cache.set("b", "B");
+  assert.strictEqual(cache.stats().bytes, 8);
+
+  cache.set("c", "C");
+  assert.strictEqual(cache.get("a"), undefined);
+  assert.deepStrictEqual([cache.stats().entries, cache.stats().bytes], [2, 8]);
+});
+
+test("覆盖已有的键时更新值和字节数", () => {
+  const cache = new LRUCache({ maxEntries: 10 });
+  cache.set("a", "A");
+  cache.set("a", "AAA");
+  assert.strictEqual(cache.get("a"), "AAA");
+  assert.deepStrictEqual([cache.stats().entries, cache.stats().bytes], [1, 8]);
+});
+
+test("单个条目超过字节上限时不缓存，也不挤出其他条目", () => {
+  const cache = new LRUCache({ maxEntries: 10, maxBytes: 8 });
+  cache.set("a", "A");
+  cache.set("big", "too large");
+  assert.strictEqual(cache.get("big"), undefined);
+  assert.strictEqual(cache.get("a"), "A");
+});
+
+test("统计命中次数，clear 清空条目但保留统计", () => {
+  const cache = new LRUCache({ maxEntries: 10 });
+  cache.set("a", "A");
+  cache.get("a");
+  cache.get("b");
+  cache.clear();
+
+  assert.deepStrictEqual(cache.stats(), {
+    entries: 0,
+    bytes: 0,
+    maxEntries: 10,
+    maxBytes: 0,
+    hits: 1,
+    misses: 1,
+  });
+});
@@ -0,0 +1,154 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Glossary = require("../js/glossary");
+
+// 在文本中查找术语，返回匹配到的原文片段和目标术语
+function find(glossary, text) {
+  return glossary
+    .findTerms(text)
+    .map(({ start, end, value }) => [text.slice(start, end), value]);
+}
+
+test('CSV 支持双引号包裹、"" 转义和字段内换行', () => {
+  const glossary = Glossary.fromCSV(
+    'source,target\n"Acme, Inc.",ACME\n"say ""hi""","說""嗨"""\n"two\nlines",兩行\n'
+  );
+  assert.deepStrictEqual(glossary.entries(), [
+    ["Acme, Inc.", "ACME"],
+    ['say "hi"', '說"嗨"'],
+    ["two\nlines", "兩行"],
+  ]);
+});
+
+test("CSV 去掉 BOM，支持 CRLF 并跳过空行", () => {
+  const glossary = Glossary.fromCSV(
+    "\uFEFFsource,target\r\ncat,猫\r\n\r\n,\r\ndog,犬\r\n"
+  );
+  assert.deepStrictEqual(glossary.entries(), [
+    ["cat", "猫"],
+    ["dog", "犬"],
+  ]);
+});
+
+test("CSV 表头为语言代码时按列名取值，并识别别名", () => {
+  const content = "de,en,ja\nKatze,cat,猫\nHund,dog,犬\n";
+  assert.deepStrictEqual(
+    Glossary.fromCSV(content, { from: "en", to: "ja" }).entries(),
+    [
+      ["cat", "猫"],
+      ["dog", "犬"],
+    ]
+  );
+  assert.deepStrictEqual(
+    Glossary.fromCSV("en,zh-Hans\ncat,猫\n", {
+      from: "en",
+      to: "zh",
+    }).entries(),
+    [["cat", "猫"]]
+  );
+});
+
+test("CSV 第一行是两个语言代码时视为表头，否则视为术语", () => {
+  assert.deepStrictEqual(Glossary.fromCSV("en,ja\ncat,猫\n").entries(), [
+    ["cat", "猫"],
+  ]);
+  assert.deepStrictEqual(
+    Glossary.fromCSV("cat,猫\ndog,犬\n", { from: "en", to: "ja" }).entries(),
+    [
+      ["cat", "猫"],
+      ["dog", "犬"],
+    ]
+  );
+});
+
+test("TBX 2 按 xml:lang 取术语，源语言的每个术语映射到目标语言的第一个术语", () => {
+  const xml = `<?xml version="1.0"?>
+<martif type="TBX"><text><body>
+  <termEntry id="1">
+    <langSet xml:lang="en">
+      <tig><term>web browser</term></tig>
+      <tig><term>browser</term></tig>
+    </langSet>
+    <langSet xml:lang="de">
+      <tig><term>Webbrowser</term></tig>
+      <tig><term>Browser</term></tig>
+    </langSet>
+  </termEntry>
+  <termEntry id="2">
+    <langSet xml:lang="en"><tig><term>R&amp;D</term></tig></langSet>
+    <langSet xml:lang="fr"><tig><term>R-D</term></tig></langSet>
+  </termEntry>
+</body></text></martif>`;
+  assert.deepStrictEqual(
+    Glossary.fromTBX(xml, { from: "en", to: "de" }).entries(),
+    [
+      ["web browser", "Webbrowser"],
+      ["browser", "Webbrowser"],
+    ]
+  );
+  assert.deepStrictEqual(
+    Glossary.fromTBX(xml, { from: "en", to: "fr" }).entries(),
+    [["R&D", "R-D"]]
+  );
+});
+
+test("TBX 3 支持 conceptEntry/termSec，忽略术语内的标签", () => {
+  const xml = `<tbx type="TBX-Basic"><text><body>
+  <conceptEntry id="c1">
+    <langSet lang="en-US"><termSec><term><hi>pull</hi> request</term></termSec></langSet>
+    <langSet lang="zh-Hans"><termSec><term>拉取请求</term></termSec></langSet>
+  </conceptEntry>
+</body></text></tbx>`;
+  assert.deepStrictEqual(
+    Glossary.fromTBX(xml, { from: "en-US", to: "zh" }).entries(),
+    [["pull request", "拉取请求"]]
+  );
+});
+
+test("TBX 必须指定语言对", () => {
+  assert.throws(
+    () => Glossary.fromTBX("<tbx/>", { from: "en" }),
+    /Source and target languages are required/
+  );
+});
+
+test("拉丁文字的术语只在单词边界匹配", () => {
+  const glossary = new Glossary({ cat: "猫", "C++": "C++" });
+  assert.deepStrictEqual(find(glossary, "concat the cat, cats and C++"), [
+    ["cat", "猫"],
+    ["C++", "C++"],
+  ]);
+});
+
+test("汉字、假名和泰文的术语无需单词边界", () => {
+  const glossary = new Glossary({ 猫: "cat", カメラ: "camera", แมว: "cat" });
+  assert.deepStrictEqual(find(glossary, "我的猫和デジカメラ，ฉันรักแมวมาก"), [
+    ["猫", "cat"],
+    ["カメラ", "camera"],
+    ["แมว", "cat"],
+  ]);
+});
+
+test("长术语优先匹配，结果互不重叠", () => {
+  const glossary = new Glossary([
+    ["machine", "Maschine"],
+    ["machine translation", "maschinelle Übersetzung"],
+    ["translation", "Übersetzung"],
+  ]);
+  assert.deepStrictEqual(
+    find(glossary, "machine translation and translation"),
+    [
+      ["machine translation", "maschinelle Übersetzung"],
+      ["translation", "Übersetzung"],
+    ]
+  );
+});
+
+test("新增术语后重新生成匹配规则", () => {
+  const glossary = new Glossary({ cat: "猫" });
+  assert.deepStrictEqual(find(glossary, "dog"), []);
+  glossary.set("dog", "犬");
+  assert.deepStrictEqual(find(glossary, "dog"), [["dog", "犬"]]);
+});
@@ -0,0 +1,18 @@
+"use strict";
+
+// 测试共用的辅助函数
+
+/**
+ * 模拟引擎：把标签之外的文字转换为大写，标签和实体原样保留
+ * @param {string} html
+ * @returns {string}
+ */
+function uppercase(html) {
+  return html.replace(
+    /(^|>)([^<]*)/g,
+    (_, close, text) =>
+      close + text.toUpperCase().replace(/&[A-Z]+;/g, (e) => e.toLowerCase())
+  );
+}
+
+module.exports = { uppercase };
@@ -0,0 +1,239 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const ResourceFile = require("../js/i18n");
+const { uppercase } = require("./helpers");
+
+const SAMPLES = {
+  json: [
+    "{",
+    '  "title": "Hello world",',
+    '  "nested": { "greet": "Hi {name}", "count": 3, "list": ["One item", "Two"] },',
+    '  "empty": ""',
+    "}",
+    "",
+  ].join("\n"),
+  arb: [
+    "{",
+    '  "@@locale": "en",',
+    '  "hello": "Hello {name}",',
+    '  "@hello": { "description": "Greeting" }',
+    "}",
+    "",
+  ].join("\n"),
+  yaml: [
+    "en:",
+    "  title: Hello world",
+    '  quoted: "Say \\"hi\\""',
+    "  single: 'It''s here'",
+    "  count: 3",
+    "  # comment",
+    "  block: |",
+    "    Line one",
+    "    Line two",
+    "",
+  ].join("\n"),
+  properties: [
+    "# comment",
+    "title=Hello world",
+    "greet = Hi ${name}",
+    "multi = First \\",
+    "    second",
+    "unicode=Caf\\u00e9",
+    "",
+  ].join("\n"),
+  po: [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    "",
+    "#: src/a.c:1",
+    'msgid "Hello world"',
+    'msgstr ""',
+    "",
+    "#, fuzzy",
+    'msgid "Old"',
+    'msgstr "Alt"',
+    "",
+    'msgid "Done"',
+    'msgstr "Fertig"',
+    "",
+    'msgid "One file"',
+    'msgid_plural "%d files"',
+    'msgstr[0] ""',
+    'msgstr[1] ""',
+    "",
+  ].join("\n"),
+  android: [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    "<resources>",
+    '  <string name="app_name" translatable="false">MyApp</string>',
+    '  <string name="hello">Hello <b>world</b> &amp; you</string>',
+    '  <string name="quote">Don\\\'t stop</string>',
+    '  <plurals name="files">',
+    '    <item quantity="one">One file</item>',
+    '    <item quantity="other">%d files</item>',
+    "  </plurals>",
+    '  <string-array name="days">',
+    "    <item>Monday</item>",
+    "  </string-array>",
+    "</resources>",
+    "",
+  ].join("\n"),
+  strings: [
+    "/* Greeting */",
+    '"hello" = "Hello \\"world\\"";',
+    '"count" = "%d items";',
+    "",
+  ].join("\n"),
+};
+
+// 各条目的键和值
+function entriesOf(file) {
+  return file.entries.map(({ key, value }) => [key, value]);
+}
+
+// 模拟翻译：标签之外的文字转换为大写，语言代码替换为目标语言
+function translateAll(file) {
+  return new Map(
+    file.entries.map(({ key, value, locale }) => [
+      key,
+      locale ? "ja" : uppercase(value),
+    ])
+  );
+}
+
+test("根据扩展名判断格式", () => {
+  assert.strictEqual(ResourceFile.getFormat("a/en.JSON"), "json");
+  assert.strictEqual(ResourceFile.getFormat("messages.pot"), "po");
+  assert.strictEqual(ResourceFile.getFormat("values/strings.xml"), "android");
+  assert.strictEqual(ResourceFile.getFormat("notes.txt"), null);
+  assert.throws(() => new ResourceFile("", "txt"), /Unsupported/);
+});
+
+test("只提取需要翻译的值", () => {
+  const parse = (format) => new ResourceFile(SAMPLES[format], format);
+
+  assert.deepStrictEqual(entriesOf(parse("json")), [
+    ["title", "Hello world"],
+    ["nested.greet", "Hi {name}"],
+    ["nested.list.0", "One item"],
+    ["nested.list.1", "Two"],
+    ["empty", ""],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("arb")), [
+    ["@@locale", "en"],
+    ["hello", "Hello {name}"],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("yaml")), [
+    ["en.title", "Hello world"],
+    ["en.quoted", 'Say "hi"'],
+    ["en.single", "It's here"],
+    ["en.block", "Line one\nLine two"],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("properties")), [
+    ["title", "Hello world"],
+    ["greet", "Hi ${name}"],
+    ["multi", "First second"],
+    ["unicode", "Café"],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("po")), [
+    ["Hello world", "Hello world"],
+    ["Old", "Old"],
+    ["Done", "Done"],
+    ["One file", "One file"],
+    ["One file\u0000plural", "%d files"],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("android")), [
+    ["hello", "Hello <b>world</b> &amp; you"],
+    ["quote", "Don't stop"],
+    ["files:one", "One file"],
+    ["files:other", "%d files"],
+    ["days[0]", "Monday"],
+  ]);
+  assert.deepStrictEqual(entriesOf(parse("strings")), [
+    ["hello", 'Hello "world"'],
+    ["count", "%d items"],
+  ]);
+});
+
+test("用原文渲染时文件不变", () => {
+  for (const format of ["json", "arb", "yaml", "android", "strings"]) {
+    const file = new ResourceFile(SAMPLES[format], format);
+    const original = new Map(entriesOf(file));
+    assert.strictEqual(file.render(original), SAMPLES[format], format);
+  }
+});
+
+test("译文写回后重新解析得到相同的值", () => {
+  for (const format of ResourceFile.FORMATS) {
+    const file = new ResourceFile(SAMPLES[format], format);
+    const translations = translateAll(file);
+    const rendered = new ResourceFile(file.render(translations), format);
+    const field = format === "po" ? "translation" : "value";
+
+    for (const entry of rendered.entries) {
+      // fuzzy 条目保留 fuzzy 标记，msgstr 不算已有译文
+      if (format === "po" && entry.key === "Old") continue;
+      assert.strictEqual(
+        entry[field],
+        translations.get(entry.key),
+        `${format}: ${entry.key}`
+      );
+    }
+  }
+});
+
+test("键、注释和其余格式保持不变", () => {
+  const yaml = new ResourceFile(SAMPLES.yaml, "yaml");
+  assert.strictEqual(
+    yaml.render(translateAll(yaml)),
+    [
+      "en:",
+      "  title: HELLO WORLD",
+      '  quoted: "SAY \\"HI\\""',
+      "  single: 'IT''S HERE'",
+      "  count: 3",
+      "  # comment",
+      "  block: |",
+      "    LINE ONE",
+      "    LINE TWO",
+      "",
+    ].join("\n")
+  );
+
+  const android = new ResourceFile(SAMPLES.android, "android");
+  const rendered = android.render(translateAll(android));
+  assert.match(rendered, /translatable="false">MyApp</);
+  assert.match(rendered, />HELLO <b>WORLD<\/b> &amp; YOU</);
+  assert.match(rendered, />DON\\'T STOP</);
+});
+
+test("已有的译文：.po 为非 fuzzy 的 msgstr，其他格式为各条目的值", () => {
+  const po = new ResourceFile(SAMPLES.po, "po");
+  assert.deepStrictEqual([...po.getTranslations()], [["Done", "Fertig"]]);
+
+  const arb = new ResourceFile(SAMPLES.arb, "arb");
+  assert.deepStrictEqual(
+    [...arb.getTranslations()],
+    [["hello", "Hello {name}"]]
+  );
+});
+
+test("各格式的插值语法需要保护", () => {
+  const matches = (format, text) =>
+    new ResourceFile(SAMPLES[format], format).protectPatterns.flatMap(
+      (pattern) => Array.from(text.matchAll(pattern), (match) => match[0])
+    );
+
+  assert.deepStrictEqual(matches("json", "Go $t(common.ok) now"), [
+    "$t(common.ok)",
+  ]);
+  assert.deepStrictEqual(matches("yaml", "Hi %{user.name}"), ["%{user.name}"]);
+  assert.deepStrictEqual(matches("po", "%(count)d files"), ["%(count)d"]);
+  assert.deepStrictEqual(
+    matches("android", 'Hi <xliff:g id="n">%s</xliff:g>\\n'),
+    ['<xliff:g id="n">%s</xliff:g>', "\\n"]
+  );
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const MarkdownDocument = require("../js/markdown");
+const { uppercase } = require("./helpers");
+
+function translate(source, engine = uppercase) {
+  const doc = new MarkdownDocument(source);
+  return doc.render(doc.segments.map(engine));
+}
+
+const DOCUMENT = [
+  "---",
+  "title: Getting started guide",
+  "slug: getting-started",
+  "---",
+  "",
+  "# Getting *started* {#start}",
+  "",
+  "Hard wrapped paragraph with `code`,",
+  "a [link](https://example.com/a_b) and **bold",
+  "text** across lines.  ",
+  "Hard break above.",
+  "",
+  "> quote here",
+  "> more",
+  "",
+  "- item one",
+  "  continued",
+  "- [x] done",
+  "",
+  "| Name | Description |",
+  "| ---- | ----------- |",
+  "| foo  | does things |",
+  "",
+  "```js",
+  "const keep = 'as is';",
+  "```",
+  "",
+  "<div>",
+  "raw html",
+  "</div>",
+  "",
+  "![alt](image.png) snake_case stays",
+  "",
+  "[ref]: https://example.com",
+].join("\n");
+
+test("原样返回译文时文档不变", () => {
+  assert.strictEqual(
+    translate(DOCUMENT, (html) => html),
+    DOCUMENT
+  );
+});
+
+test("只翻译正文，保留代码、链接地址、HTML 块和行结构", () => {
+  assert.strictEqual(
+    translate(DOCUMENT),
+    [
+      "---",
+      "title: GETTING STARTED GUIDE",
+      "slug: getting-started",
+      "---",
+      "",
+      "# GETTING *STARTED* {#start}",
+      "",
+      "HARD WRAPPED PARAGRAPH WITH `code`,",
+      "A [LINK](https://example.com/a_b) AND **BOLD",
+      "TEXT** ACROSS LINES.  ",
+      "HARD BREAK ABOVE.",
+      "",
+      "> QUOTE HERE",
+      "> MORE",
+      "",
+      "- ITEM ONE",
+      "  CONTINUED",
+      "- [x] DONE",
+      "",
+      "| NAME | DESCRIPTION |",
+      "| ---- | ----------- |",
+      "| FOO  | DOES THINGS |",
+      "",
+      "```js",
+      "const keep = 'as is';",
+      "```",
+      "",
+      "<div>",
+      "raw html",
+      "</div>",
+      "",
+      "![alt](image.png) SNAKE_CASE STAYS",
+      "",
+      "[ref]: https://example.com",
+    ].join("\n")
+  );
+});
+
+test("保留 CRLF 换行", () => {
+  assert.strictEqual(
+    translate("> quote here\r\n> more\r\n"),
+    "> QUOTE HERE\r\n> MORE\r\n"
+  );
+});
+
+test("软换行转换为 <br>，两侧的空白不进入译文", () => {
+  const doc = new MarkdownDocument("one\ntwo");
+  assert.deepStrictEqual(doc.segments, ['one <br data-md="0">two']);
+  // 引擎在 <br> 两侧留下的空白被去掉，不会产生行尾空格（硬换行）
+  assert.strictEqual(doc.render(['uno   <br data-md="0">  dos']), "uno\ndos");
+  // 换行被移到末尾时不产生多余的空行
+  assert.strictEqual(doc.render(['uno dos <br data-md="0">']), "uno dos");
+});
+
+test("行内格式两侧的空白移到标记外面", () => {
+  const doc = new MarkdownDocument("say **hello** now");
+  assert.deepStrictEqual(doc.segments, ['say <b data-md="0">hello</b> now']);
+  assert.strictEqual(
+    doc.render(['sag<b data-md="0"> hallo </b>jetzt']),
+    "sag **hallo** jetzt"
+  );
+});
@@ -0,0 +1,129 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const PlaceholderMask = require("../js/placeholder");
+
+// 查找受保护片段对应的原文
+function findProtected(text, options) {
+  return PlaceholderMask.findProtectedSpans(text, options).map(
+    ({ start, end }) => text.slice(start, end)
+  );
+}
+
+function createMask(texts, isHTML = false, options = {}) {
+  return new PlaceholderMask(texts, isHTML, (text) =>
+    PlaceholderMask.findProtectedSpans(text, options)
+  );
+}
+
+test("保护网址、电子邮件地址、行内代码和花括号变量", () => {
+  assert.deepStrictEqual(
+    findProtected("See https://example.com/a?b=1. Mail a.b@example.org"),
+    ["https://example.com/a?b=1", "a.b@example.org"]
+  );
+  assert.deepStrictEqual(findProtected("Run `npm test` for {name}"), [
+    "{name}",
+    "`npm test`",
+  ]);
+  assert.deepStrictEqual(
+    findProtected("{count, plural, one {# item} other {# items}}"),
+    ["{count, plural, one {# item} other {# items}}"]
+  );
+  // 花括号内不是变量名时不保护
+  assert.deepStrictEqual(findProtected("{not a variable}"), []);
+});
+
+test("printf 格式符只在单词边界处匹配", () => {
+  assert.deepStrictEqual(findProtected("%s has %1$d items, %.2f%%"), [
+    "%s",
+    "%1$d",
+    "%.2f",
+  ]);
+  assert.deepStrictEqual(findProtected("a 10%chance of rain"), []);
+  assert.deepStrictEqual(findProtected("100%%s"), []);
+  assert.deepStrictEqual(findProtected("(%@)"), ["%@"]);
+});
+
+test("builtin 为 false 时只使用自定义规则", () => {
+  assert.deepStrictEqual(
+    findProtected("ACME-12 at https://x.com", {
+      builtin: false,
+      patterns: [/ACME-\d+/g],
+    }),
+    ["ACME-12"]
+  );
+});
+
+test("只有含占位符的纯文本切换为 HTML 模式并转义", () => {
+  const mask = createMask(["Visit https://x.com & more", "Tom & Jerry", ""]);
+
+  assert.strictEqual(mask.active, true);
+  assert.deepStrictEqual(mask.htmlModes, [true, false, false]);
+  assert.deepStrictEqual(mask.texts, [
+    'Visit <img data-mt="0"> &amp; more',
+    "Tom & Jerry",
+    "",
+  ]);
+});
+
+test("HTML 原文的每个文本都按 HTML 模式翻译", () => {
+  const mask = createMask(["<b>{name}</b>", "<i>plain</i>"], true);
+  assert.deepStrictEqual(mask.htmlModes, [true, true]);
+  assert.deepStrictEqual(mask.texts, [
+    '<b><img data-mt="0"></b>',
+    "<i>plain</i>",
+  ]);
+});
+
+test("HTML 原文中跳过截断标签的片段", () => {
+  const mask = createMask(['<a href="https://x.com">link</a>'], true);
+  assert.strictEqual(mask.active, false);
+  assert.deepStrictEqual(mask.texts, ['<a href="https://x.com">link</a>']);
+});
+
+test("还原占位符并反转义纯文本译文", () => {
+  const mask = createMask(["Visit https://x.com & more", "Tom & Jerry"]);
+
+  assert.deepStrictEqual(
+    mask.restore('Besuche <img data-mt="0"> &amp; mehr', 0).text,
+    "Besuche https://x.com & mehr"
+  );
+  // 没有占位符的文本没有被转义，原样返回
+  assert.strictEqual(
+    mask.restore("Tom &amp; Jerry", 1).text,
+    "Tom &amp; Jerry"
+  );
+});
+
+test("报告译文中丢失的占位符，重复的占位符只还原一次", () => {
+  const mask = createMask(["%s and %d"]);
+  assert.deepStrictEqual(mask.texts, [
+    '<img data-mt="0"> and <img data-mt="1">',
+  ]);
+
+  const lost = mask.restore('<img data-mt="0"> und', 0);
+  assert.strictEqual(lost.text, "%s und");
+  assert.deepStrictEqual(lost.missing, ["%d"]);
+
+  const duplicated = mask.restore(
+    '<img data-mt="1"> <img data-mt="1"> <img data-mt="0">',
+    0
+  );
+  assert.strictEqual(duplicated.text, "%d  %s");
+  assert.deepStrictEqual(duplicated.missing, []);
+});
+
+test("替换为指定文本的片段还原为替换值，原文还原为原始片段", () => {
+  const mask = new PlaceholderMask(["Use Cloud & Co"], false, (text) => [
+    { start: 4, end: text.length, value: "クラウド" },
+  ]);
+
+  assert.strictEqual(
+    mask.restore('<img data-mt="0">を使う', 0).text,
+    "クラウドを使う"
+  );
+  const source = mask.restoreSource(mask.texts[0], 0);
+  assert.strictEqual(source.text, "Use Cloud & Co");
+  assert.strictEqual(source.mapOffset(mask.texts[0].length), 14);
+});
@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { performance } = require("perf_hooks");
+const WorkQueue = require("../js/queue");
+
+// 前 20 个非后台任务会立即运行，先用完这些名额，后续任务才会进入队列
+function exhaustImmediate(queue) {
+  for (let i = 0; i < 20; i++) {
+    queue.runTask(-1 - i, () => i);
+  }
+}
+
+test("前 20 个非后台任务立即运行，后台任务总是排队", async () => {
+  const queue = new WorkQueue();
+  const calls = [];
+  const immediate = queue.runTask(1, () => calls.push("normal"));
+  const background = queue.runTask(
+    2,
+    () => calls.push("background"),
+    "background"
+  );
+  // 立即运行的任务在 runTask 返回前已经执行
+  assert.deepStrictEqual(calls, ["normal"]);
+  await Promise.all([immediate, background]);
+  assert.deepStrictEqual(calls, ["normal", "background"]);
+});
+
+test("按优先级从高到低执行，同一优先级内先进先出", async () => {
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  const order = [];
+  const run = (id, priority) =>
+    queue.runTask(id, () => order.push(`${priority}${id}`), priority);
+  await Promise.all([
+    run(1, "background"),
+    run(2, "normal"),
+    run(3, "interactive"),
+    run(4, "normal"),
+    run(5, "interactive"),
+  ]);
+  assert.deepStrictEqual(order, [
+    "interactive3",
+    "interactive5",
+    "normal2",
+    "normal4",
+    "background1",
+  ]);
+});
+
+test("未知优先级按 normal 处理", async () => {
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  const order = [];
+  await Promise.all([
+    queue.runTask(1, () => order.push("background"), "background"),
+    queue.runTask(2, () => order.push("unknown"), "urgent"),
+  ]);
+  assert.deepStrictEqual(order, ["unknown", "background"]);
+});
+
+test("等待超过 2 秒的任务优先于更高优先级的任务", async (t) => {
+  let now = 0;
+  t.mock.method(performance, "now", () => now);
+
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  const order = [];
+  const background = queue.runTask(
+    1,
+    () => order.push("background"),
+    "background"
+  );
+  now = 2500;
+  const interactive = queue.runTask(
+    2,
+    () => order.push("interactive"),
+    "interactive"
+  );
+  await Promise.all([background, interactive]);
+  assert.deepStrictEqual(order, ["background", "interactive"]);
+});
+
+test("任务抛出的错误传递给调用方", async () => {
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  await assert.rejects(
+    queue.runTask(
+      1,
+      () => {
+        throw new Error("boom");
+      },
+      "background"
+    ),
+    /boom/
+  );
+});
+
+test("cancelTask 以 AbortError 拒绝排队中的任务，并返回是否移除", async () => {
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  let ran = false;
+  const cancelled = queue.runTask(1, () => (ran = true), "background");
+  const kept = queue.runTask(2, () => "kept", "background");
+
+  assert.strictEqual(queue.cancelTask(1), true);
+  assert.strictEqual(queue.cancelTask(1), false);
+  assert.strictEqual(queue.cancelTask(99), false);
+
+  await assert.rejects(cancelled, { name: "AbortError" });
+  assert.strictEqual(await kept, "kept");
+  assert.strictEqual(ran, false);
+});
+
+test("cancelWork 拒绝所有排队中的任务，之后仍可继续使用", async () => {
+  const queue = new WorkQueue();
+  exhaustImmediate(queue);
+
+  let ran = 0;
+  const tasks = [
+    queue.runTask(1, () => ran++, "interactive"),
+    queue.runTask(2, () => ran++, "normal"),
+    queue.runTask(3, () => ran++, "background"),
+  ];
+  // cancelWork 返回前任务就已被拒绝，先挂上处理函数
+  const settled = Promise.allSettled(tasks);
+  await queue.cancelWork();
+
+  const results = await settled;
+  for (const result of results) {
+    assert.strictEqual(result.status, "rejected");
+    assert.strictEqual(result.reason.name, "AbortError");
+  }
+  assert.strictEqual(ran, 0);
+
+  assert.strictEqual(
+    await queue.runTask(4, () => "after", "background"),
+    "after"
+  );
+});
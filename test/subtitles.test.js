@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const SubtitleDocument = require("../js/subtitles");
+const { uppercase } = require("./helpers");
+
+function translate(content, engine = uppercase) {
+  const doc = new SubtitleDocument(content);
+  return doc.render(doc.segments.map(engine));
+}
+
+const SRT = [
+  "1",
+  "00:00:01,000 --> 00:00:02,500",
+  "Hello <i>there</i>,",
+  "general Kenobi & co.",
+  "",
+  "2",
+  "00:00:03,000 --> 00:00:04,000",
+  '{\\an8}<font color="#ffff00">Top</font> line',
+  "",
+].join("\n");
+
+const VTT = [
+  "WEBVTT - Example",
+  "",
+  "NOTE This note stays",
+  "",
+  "STYLE",
+  "::cue { color: yellow }",
+  "",
+  "intro",
+  "00:00.000 --> 00:01.000 line:0 position:20%",
+  "<v Roger>Hi &amp; welcome</v>",
+  "<c.yellow>karaoke</c> <00:00.500>text",
+  "",
+].join("\n");
+
+test("原样返回译文时字幕文件不变", () => {
+  const identity = (html) => html;
+  assert.strictEqual(translate(SRT, identity), SRT);
+  assert.strictEqual(translate(VTT, identity), VTT);
+});
+
+test("SRT 只翻译字幕文本，保留序号、时间轴、换行和样式标签", () => {
+  const doc = new SubtitleDocument(SRT);
+  assert.strictEqual(doc.format, "srt");
+  assert.deepStrictEqual(doc.segments, [
+    'Hello <span data-sub="0">there</span>,<br>general Kenobi &amp; co.',
+    '<img data-sub="1"><span data-sub="2">Top</span> line',
+  ]);
+  assert.strictEqual(
+    translate(SRT),
+    [
+      "1",
+      "00:00:01,000 --> 00:00:02,500",
+      "HELLO <i>THERE</i>,",
+      "GENERAL KENOBI & CO.",
+      "",
+      "2",
+      "00:00:03,000 --> 00:00:04,000",
+      '{\\an8}<font color="#ffff00">TOP</font> LINE',
+      "",
+    ].join("\n")
+  );
+});
+
+test("WebVTT 保留元数据块、字幕设置、时间戳标签和实体", () => {
+  const doc = new SubtitleDocument(VTT);
+  assert.strictEqual(doc.format, "vtt");
+  assert.strictEqual(doc.segments.length, 1);
+  // 用于检测语言的纯文本去掉了标签
+  assert.strictEqual(
+    doc.plainText.replace(/\s+/g, " ").trim(),
+    "Hi & welcome karaoke text"
+  );
+  assert.strictEqual(
+    translate(VTT),
+    [
+      "WEBVTT - Example",
+      "",
+      "NOTE This note stays",
+      "",
+      "STYLE",
+      "::cue { color: yellow }",
+      "",
+      "intro",
+      "00:00.000 --> 00:01.000 line:0 position:20%",
+      "<v Roger>HI &amp; WELCOME</v>",
+      "<c.yellow>KARAOKE</c> <00:00.500>TEXT",
+      "",
+    ].join("\n")
+  );
+});
+
+test("保留 CRLF 换行，<br> 两侧的空白不进入译文", () => {
+  const content = "1\r\n00:00:01,000 --> 00:00:02,000\r\none\r\ntwo\r\n";
+  const doc = new SubtitleDocument(content);
+  assert.strictEqual(
+    doc.render(["uno <br> dos"]),
+    "1\r\n00:00:01,000 --> 00:00:02,000\r\nuno\r\ndos\r\n"
+  );
+});
+
+test("样式标签两侧的空白移到标签外面，未闭合的标签在末尾闭合", () => {
+  const doc = new SubtitleDocument(
+    "1\n00:00:01,000 --> 00:00:02,000\n<b>bold</b> and <i>open\n"
+  );
+  assert.strictEqual(
+    doc.render([
+      '<span data-sub="0"> fett </span>und <span data-sub="1">offen',
+    ]),
+    "1\n00:00:01,000 --> 00:00:02,000\n<b>fett</b> und <i>offen\n"
+  );
+});
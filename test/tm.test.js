@@ -0,0 +1,158 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Config 在加载时读取环境变量，必须在加载 tm 之前设置
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "mtran-tm-"));
+process.env.MTRAN_DATA_DIR = dataDir;
+process.env.MTRAN_TM_MAX_ENTRIES = "3";
+
+const Config = require("../js/config");
+const TranslationMemory = require("../js/tm");
+const { TRANSLATION_ERROR_TEXT } = require("../js/utils");
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// 读取记忆库文件中的记录
+function readLines(from, to) {
+  return fs
+    .readFileSync(TranslationMemory.getFilePath(from, to), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+test("翻译记忆库默认关闭", () => {
+  assert.strictEqual(Config.TM, false);
+});
+
+test("写入后可以查找，HTML 与纯文本分开存储", async () => {
+  await TranslationMemory.store("en", "ja", [{ source: "Hi", target: "やあ" }]);
+  await TranslationMemory.store(
+    "en",
+    "ja",
+    [{ source: "Hi", target: "<b>やあ</b>" }],
+    true
+  );
+
+  assert.deepStrictEqual(
+    await TranslationMemory.lookup("en", "ja", ["Hi", "Bye"]),
+    ["やあ", undefined]
+  );
+  assert.deepStrictEqual(
+    await TranslationMemory.lookup("en", "ja", ["Hi"], true),
+    ["<b>やあ</b>"]
+  );
+  assert.deepStrictEqual(readLines("en", "ja"), [
+    { source: "Hi", target: "やあ" },
+    { source: "Hi", target: "<b>やあ</b>", html: true },
+  ]);
+  await TranslationMemory.clear("en", "ja");
+});
+
+test("相同的译文不重复写入", async () => {
+  const pairs = [{ source: "a", target: "A" }];
+  assert.strictEqual(await TranslationMemory.store("en", "de", pairs), 1);
+  assert.strictEqual(await TranslationMemory.store("en", "de", pairs), 0);
+  assert.strictEqual(readLines("en", "de").length, 1);
+  await TranslationMemory.clear("en", "de");
+});
+
+test("翻译引擎失败时的占位译文不写入，也不覆盖已有译文", async () => {
+  await TranslationMemory.store("en", "de", [{ source: "a", target: "A" }]);
+  const count = await TranslationMemory.store("en", "de", [
+    { source: "a", target: TRANSLATION_ERROR_TEXT },
+    { source: "b", target: TRANSLATION_ERROR_TEXT },
+  ]);
+  assert.strictEqual(count, 0);
+  assert.deepStrictEqual(
+    await TranslationMemory.lookup("en", "de", ["a", "b"]),
+    ["A", undefined]
+  );
+  assert.deepStrictEqual(readLines("en", "de"), [{ source: "a", target: "A" }]);
+  await TranslationMemory.clear("en", "de");
+});
+
+test("超出条目上限时淘汰最早写入的条目并重写文件", async () => {
+  for (const source of ["a", "b", "c", "d", "e", "f", "g"]) {
+    await TranslationMemory.store("en", "fr", [
+      { source, target: source.toUpperCase() },
+    ]);
+  }
+
+  assert.deepStrictEqual(
+    (await TranslationMemory.entries("en", "fr")).map(({ source }) => source),
+    ["e", "f", "g"]
+  );
+  assert.deepStrictEqual(
+    await TranslationMemory.lookup("en", "fr", ["a", "g"]),
+    [undefined, "G"]
+  );
+  // 第 7 条记录超过上限的两倍，文件被重写为当前的 3 条
+  assert.deepStrictEqual(
+    readLines("en", "fr").map(({ source }) => source),
+    ["e", "f", "g"]
+  );
+  await TranslationMemory.clear("en", "fr");
+});
+
+test("从文件重新加载时只保留最新的条目", async () => {
+  const filePath = TranslationMemory.getFilePath("en", "es");
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    ["a", "b", "c", "a", "d"]
+      .map((source, i) => JSON.stringify({ source, target: `${source}${i}` }))
+      .join("\n") + "\n{broken\n"
+  );
+
+  assert.deepStrictEqual(
+    (await TranslationMemory.entries("en", "es")).map(
+      ({ source, target }) => `${source}=${target}`
+    ),
+    ["c=c2", "a=a3", "d=d4"]
+  );
+  await TranslationMemory.clear("en", "es");
+});
+
+test("内存中只保留最近使用的语言对，释放后从文件重新加载", async () => {
+  const langs = ["de", "fr", "es", "it", "pt", "nl"];
+  for (const to of langs) {
+    await TranslationMemory.store("en", to, [{ source: "x", target: to }]);
+  }
+  for (const to of langs) {
+    assert.deepStrictEqual(await TranslationMemory.lookup("en", to, ["x"]), [
+      to,
+    ]);
+  }
+  assert.strictEqual((await TranslationMemory.listPairs()).length, 6);
+});
+
+test("导入导出 TMX", async () => {
+  const tmx = TranslationMemory.toTMX(
+    [{ source: "Tom & Jerry", target: "トムとジェリー" }],
+    "en",
+    "ja"
+  );
+  assert.deepStrictEqual(TranslationMemory.parseTMX(tmx), [
+    { from: "en", to: "ja", source: "Tom & Jerry", target: "トムとジェリー" },
+  ]);
+
+  const tmxPath = path.join(dataDir, "in.tmx");
+  fs.writeFileSync(tmxPath, tmx);
+  assert.strictEqual(await TranslationMemory.importFile(tmxPath), 1);
+
+  const jsonlPath = path.join(dataDir, "out.jsonl");
+  assert.strictEqual(
+    await TranslationMemory.exportFile(jsonlPath, { from: "en", to: "ja" }),
+    1
+  );
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonlPath, "utf8")), {
+    source: "Tom & Jerry",
+    target: "トムとジェリー",
+  });
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const XliffDocument = require("../js/xliff");
+const { uppercase } = require("./helpers");
+
+const XLIFF_1 = `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en-US" datatype="plaintext" original="app">
+    <body>
+      <trans-unit id="1">
+        <source>Hello <g id="b">world</g> &amp; <x id="br"/>friends</source>
+      </trans-unit>
+      <trans-unit id="2">
+        <source>Done</source>
+        <target>Fertig</target>
+      </trans-unit>
+      <trans-unit id="3" translate="no">
+        <source>Brand</source>
+      </trans-unit>
+      <trans-unit id="4">
+        <source>Save <ph id="1">%s</ph></source>
+        <target state="needs-translation"></target>
+        <alt-trans><source>x</source><target>y</target></alt-trans>
+      </trans-unit>
+    </body>
+  </file>
+</xliff>
+`;
+
+const XLIFF_2 = `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="en" trgLang="ja">
+  <file id="f1">
+    <unit id="u1">
+      <segment>
+        <source>Click <pc id="1">here</pc><ph id="2"/></source>
+      </segment>
+      <segment state="final">
+        <source>Kept</source>
+        <target>保持</target>
+      </segment>
+    </unit>
+  </file>
+</xliff>
+`;
+
+test("不是 XLIFF 文件时抛出错误", () => {
+  assert.throws(() => new XliffDocument("<html></html>"), /missing <xliff>/);
+});
+
+test("语言代码转换为模型支持的代码", () => {
+  assert.deepStrictEqual(
+    ["en-US", "zh_TW", "zh-Hant-HK", "zh-SG", "pt-BR", "xx", undefined].map(
+      (code) => XliffDocument.toModelLang(code)
+    ),
+    ["en", "zh-TW", "zh-HK", "zh-Hans", "pt", undefined, undefined]
+  );
+});
+
+test("XLIFF 1.2 只翻译没有译文或标记为未翻译的单元", () => {
+  const doc = new XliffDocument(XLIFF_1);
+  assert.strictEqual(doc.version, 1);
+  assert.strictEqual(doc.srcLang, "en-US");
+  assert.strictEqual(doc.tgtLang, undefined);
+  assert.deepStrictEqual(doc.segments, [
+    'Hello <span data-xlf="0">world</span> &amp; <img data-xlf="1">friends',
+    'Save <img data-xlf="2">',
+  ]);
+  assert.strictEqual(doc.plainText, "Hello world & friends\nSave");
+});
+
+test("XLIFF 1.2 译文写入 <target>，行内标记和其余内容原样保留", () => {
+  const doc = new XliffDocument(XLIFF_1);
+  const expected = XLIFF_1.replace(
+    'original="app">',
+    'original="app" target-language="de">'
+  )
+    .replace(
+      "friends</source>\n",
+      "friends</source>\n" +
+        '        <target state="translated" state-qualifier="mt-suggestion">' +
+        'HELLO <g id="b">WORLD</g> &amp; <x id="br"/>FRIENDS</target>\n'
+    )
+    .replace(
+      '<target state="needs-translation"></target>',
+      '<target state="translated" state-qualifier="mt-suggestion">' +
+        'SAVE <ph id="1">%s</ph></target>'
+    );
+
+  assert.strictEqual(doc.render(doc.segments.map(uppercase), "de"), expected);
+});
+
+test("XLIFF 2.0 翻译 segment 并标记状态，已有译文的 segment 不变", () => {
+  const doc = new XliffDocument(XLIFF_2);
+  assert.strictEqual(doc.version, 2);
+  assert.deepStrictEqual([doc.srcLang, doc.tgtLang], ["en", "ja"]);
+  assert.deepStrictEqual(doc.segments, [
+    'Click <span data-xlf="0">here</span><img data-xlf="1">',
+  ]);
+
+  const expected = XLIFF_2.replace(
+    "<segment>",
+    '<segment state="translated" subState="mtrancore:mt">'
+  ).replace(
+    '<ph id="2"/></source>\n',
+    '<ph id="2"/></source>\n' +
+      '        <target>CLICK <pc id="1">HERE</pc><ph id="2"/></target>\n'
+  );
+  assert.strictEqual(doc.render(doc.segments.map(uppercase), "de"), expected);
+});
+
+test("行内元素两侧的空白移到元素外面，特殊字符重新转义", () => {
+  const doc = new XliffDocument(XLIFF_2);
+  const rendered = doc.render(
+    ['Klick<span data-xlf="0"> hier </span>&lt;ok&gt;<img data-xlf="1">'],
+    "de"
+  );
+  assert.match(
+    rendered,
+    /<target>Klick <pc id="1">hier<\/pc> &lt;ok&gt;<ph id="2"\/><\/target>/
+  );
+});
+
+test("TranslateXliff 只传入内容时使用文件声明的语言", async () => {
+  // 源语言和目标语言是同一个模型语言，译文与原文相同，不需要加载翻译模型
+  const content = `<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en-US" target-language="en-GB" datatype="plaintext" original="app">
+    <body>
+      <trans-unit id="1"><source>Color</source></trans-unit>
+    </body>
+  </file>
+</xliff>`;
+  // Translator 依赖翻译引擎的运行环境，只在这里加载，不影响其余只测试解析的用例
+  const Translator = require("../js/translator");
+  const result = await Translator.TranslateXliff(content);
+  assert.strictEqual(result.from, "en");
+  assert.strictEqual(result.to, "en");
+  assert.deepStrictEqual(result.pairs, [{ source: "Color", target: "Color" }]);
+  assert.match(
+    result.content,
+    /<target state="translated" state-qualifier="mt-suggestion">Color<\/target>/
+  );
+});
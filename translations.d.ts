@@ -164,8 +164,46 @@ export namespace Bergamot {
    * See https://github.com/mozilla/bergamot-translator/blob/main/src/translator/response.h
    */
   export class Response {
+    size(): number;
     getOriginalText(): string;
     getTranslatedText(): string;
+    // Byte range of the i-th sentence in the original text (UTF-8 bytes).
+    getSourceSentence(index: number): ByteRange;
+    // Byte range of the i-th sentence in the translated text (UTF-8 bytes).
+    getTranslatedSentence(index: number): ByteRange;
+    // Word-level soft alignments per sentence. Only present in builds that
+    // export the alignment bindings.
+    getAlignments?(): Vector<Vector<AlignmentPoint>>;
+    // Quality estimation per translated sentence. Only filled in when
+    // `qualityScores=true` and the model has a quality estimation model.
+    // Only present in builds that export the quality estimation bindings.
+    getQualityScores?(): Vector<SentenceQualityScore>;
+  }
+
+  /**
+   * Quality estimation scores of a single translated sentence.
+   */
+  export interface SentenceQualityScore {
+    wordScores: Vector<number>;
+    wordByteRanges: Vector<ByteRange>;
+    sentenceScore: number;
+  }
+
+  /**
+   * A half-open range of UTF-8 byte offsets into a text.
+   */
+  export interface ByteRange {
+    begin: number;
+    end: number;
+  }
+
+  /**
+   * A single soft alignment between a source word and a target word.
+   */
+  export interface AlignmentPoint {
+    src: ByteRange;
+    tgt: ByteRange;
+    prob: number;
   }
 
   /**